@@ -0,0 +1,276 @@
+// Records raw PCM from a MediaStream through an AudioWorklet and cuts it into
+// standalone WAV chunks of an exact number of samples. Each chunk is prefixed
+// with the last overlapSeconds of the previous one so words at the boundary
+// are not lost.
+//
+// With a VoiceActivityDetector, chunks end at the first pause after
+// minChunkSeconds, or at the quietest point before chunkSeconds if nobody
+// paused, and chunks without speech are reported to onSilence instead of onChunk.
+//
+// Chunk lengths, the overlap and the detector can be changed while recording;
+// changes apply from the next chunk.
+
+class AudioCapture {
+    constructor(stream, options = {}) {
+        this.stream = stream;
+        this.sampleRate = options.sampleRate || 16000;
+        this.chunkSeconds = options.chunkSeconds || 30;
+        this.overlapSeconds = options.overlapSeconds || 0;
+        this.onChunk = options.onChunk || (() => {});
+        this.onSamples = options.onSamples || null;
+        this.vad = options.vad || null;
+        this.minChunkSeconds = options.minChunkSeconds || 10;
+        this.onSilence = options.onSilence || (() => {});
+
+        this.audioContext = null;
+        this.source = null;
+        this.workletNode = null;
+        this.sink = null;
+
+        this.pendingFrames = [];
+        this.pendingLength = 0;
+        this.emittedSamples = 0;
+        // Wall-clock time of the first sample of each batch still needed, as [{ sample, at }].
+        // Pauses leave gaps in time but not in samples, so times can't be derived from positions.
+        this.receivedSamples = 0;
+        this.clockMarks = [];
+        this.overlapTail = new Float32Array(0);
+        this.isPaused = false;
+        this.chunkPromises = new Set();
+    }
+
+    get chunkSamples() {
+        return Math.round(this.chunkSeconds * this.sampleRate);
+    }
+
+    get minChunkSamples() {
+        return Math.round(Math.min(this.minChunkSeconds, this.chunkSeconds) * this.sampleRate);
+    }
+
+    get overlapSamples() {
+        return Math.round(this.overlapSeconds * this.sampleRate);
+    }
+
+    async start() {
+        // Chrome resamples the stream to the context rate, so every chunk comes out at sampleRate
+        this.audioContext = new AudioContext({ sampleRate: this.sampleRate });
+        await this.audioContext.audioWorklet.addModule('pcm-capture-processor.js');
+
+        this.source = this.audioContext.createMediaStreamSource(this.stream);
+        this.workletNode = new AudioWorkletNode(this.audioContext, 'pcm-capture', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            channelCount: 2,
+            channelCountMode: 'explicit'
+        });
+
+        this.workletNode.port.onmessage = (event) => {
+            if (event.data.type === 'samples') {
+                this.handleSamples(event.data.samples);
+            }
+        };
+
+        // The worklet has to be connected to the destination to be pulled; keep it silent
+        this.sink = this.audioContext.createGain();
+        this.sink.gain.value = 0;
+
+        this.source.connect(this.workletNode);
+        this.workletNode.connect(this.sink);
+        this.sink.connect(this.audioContext.destination);
+    }
+
+    configure({ chunkSeconds, minChunkSeconds, overlapSeconds }) {
+        if (chunkSeconds) this.chunkSeconds = chunkSeconds;
+        if (minChunkSeconds) this.minChunkSeconds = minChunkSeconds;
+        if (overlapSeconds !== undefined) this.overlapSeconds = overlapSeconds;
+    }
+
+    setVad(vad) {
+        this.vad = vad;
+
+        // The detector's frames start where the pending audio starts
+        if (vad) {
+            this.pendingFrames.forEach(frame => vad.addSamples(frame));
+        }
+    }
+
+    pause() {
+        this.isPaused = true;
+    }
+
+    resume() {
+        this.isPaused = false;
+    }
+
+    handleSamples(samples) {
+        if (this.isPaused) return;
+
+        // Live consumers (streaming transcription) get every batch as it arrives
+        if (this.onSamples) {
+            this.onSamples(samples);
+        }
+
+        this.clockMarks.push({
+            sample: this.receivedSamples,
+            at: Date.now() - samples.length / this.sampleRate * 1000
+        });
+        this.receivedSamples += samples.length;
+
+        this.pendingFrames.push(samples);
+        this.pendingLength += samples.length;
+
+        if (!this.vad) {
+            while (this.pendingLength >= this.chunkSamples) {
+                this.emitChunk(this.chunkSamples);
+            }
+            return;
+        }
+
+        this.vad.addSamples(samples);
+
+        let length;
+        while ((length = this.findChunkLength()) > 0) {
+            this.emitChunk(length);
+        }
+    }
+
+    // Length in samples of the next chunk to cut, 0 to wait for more audio. Cuts fall
+    // on frame boundaries so the detector's frames stay in step with the pending audio.
+    findChunkLength() {
+        const frameSize = this.vad.frameSize;
+        const minFrames = Math.ceil(this.minChunkSamples / frameSize);
+        const maxFrames = Math.floor(this.chunkSamples / frameSize);
+        const available = this.vad.frames.length;
+
+        if (available < minFrames) return 0;
+
+        const pause = this.vad.findPause(minFrames, Math.min(available, maxFrames));
+        if (pause !== null) return pause * frameSize;
+
+        return available >= maxFrames ? this.vad.findQuietest(minFrames, maxFrames) * frameSize : 0;
+    }
+
+    // Wall-clock time in ms at which a sample position was recorded
+    getSampleTime(sample) {
+        let mark = this.clockMarks[0];
+        for (const candidate of this.clockMarks) {
+            if (candidate.sample > sample) break;
+            mark = candidate;
+        }
+
+        return mark ? Math.round(mark.at + (sample - mark.sample) / this.sampleRate * 1000) : Date.now();
+    }
+
+    // Forgets the times of batches that ended before sample
+    dropClockMarks(sample) {
+        while (this.clockMarks.length > 1 && this.clockMarks[1].sample <= sample) {
+            this.clockMarks.shift();
+        }
+    }
+
+    takeSamples(length) {
+        const samples = new Float32Array(length);
+        let offset = 0;
+
+        while (offset < length) {
+            const frame = this.pendingFrames[0];
+            const needed = length - offset;
+
+            if (frame.length <= needed) {
+                samples.set(frame, offset);
+                offset += frame.length;
+                this.pendingFrames.shift();
+            } else {
+                samples.set(frame.subarray(0, needed), offset);
+                this.pendingFrames[0] = frame.subarray(needed);
+                offset += needed;
+            }
+        }
+
+        this.pendingLength -= length;
+        return samples;
+    }
+
+    emitChunk(length) {
+        const newSamples = this.takeSamples(length);
+
+        if (this.vad) {
+            const frameCount = Math.floor(length / this.vad.frameSize);
+            const hasSpeech = this.vad.hasSpeech(0, frameCount);
+            this.vad.dropFrames(frameCount);
+
+            if (!hasSpeech) {
+                this.onSilence({
+                    sampleRate: this.sampleRate,
+                    startSample: this.emittedSamples,
+                    endSample: this.emittedSamples + newSamples.length
+                });
+
+                // Silence holds no words to carry over into the next chunk
+                this.emittedSamples += newSamples.length;
+                this.overlapTail = new Float32Array(0);
+                this.dropClockMarks(this.emittedSamples);
+                return;
+            }
+        }
+
+        const overlapLength = this.overlapTail.length;
+
+        const samples = new Float32Array(overlapLength + newSamples.length);
+        samples.set(this.overlapTail, 0);
+        samples.set(newSamples, overlapLength);
+
+        const chunk = {
+            blob: WavEncoder.encode(samples, this.sampleRate),
+            mimeType: 'audio/wav',
+            sampleRate: this.sampleRate,
+            // Sample positions relative to the start of the capture
+            startSample: this.emittedSamples - overlapLength,
+            endSample: this.emittedSamples + newSamples.length,
+            overlapSamples: overlapLength,
+            // When the first sample after the overlap was recorded
+            newAudioTime: this.getSampleTime(this.emittedSamples)
+        };
+
+        this.emittedSamples += newSamples.length;
+        this.overlapTail = samples.slice(Math.max(0, samples.length - this.overlapSamples));
+        this.dropClockMarks(this.emittedSamples - this.overlapTail.length);
+
+        const promise = Promise.resolve(this.onChunk(chunk)).catch((error) => {
+            console.error('Failed to process audio chunk:', error);
+        });
+        this.chunkPromises.add(promise);
+        promise.finally(() => this.chunkPromises.delete(promise));
+    }
+
+    async stop() {
+        if (!this.audioContext) return;
+
+        // Collect the samples still batched inside the worklet
+        await new Promise((resolve) => {
+            const timeout = setTimeout(resolve, 500);
+
+            this.workletNode.port.addEventListener('message', (event) => {
+                if (event.data.type === 'flushed') {
+                    clearTimeout(timeout);
+                    resolve();
+                }
+            });
+            this.workletNode.port.postMessage({ type: 'flush' });
+        });
+
+        // Emit the final partial chunk, skipping slivers too short to transcribe
+        if (this.pendingLength >= this.sampleRate / 2) {
+            this.emitChunk(this.pendingLength);
+        }
+        if (this.vad) this.vad.reset();
+
+        this.source.disconnect();
+        this.workletNode.disconnect();
+        this.sink.disconnect();
+        await this.audioContext.close();
+        this.audioContext = null;
+
+        await Promise.all(this.chunkPromises);
+    }
+}
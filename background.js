@@ -1,10 +1,21 @@
+importScripts('storage.js', 'wav-encoder.js', 'providers.js', 'language-models.js', 'transcript-summarizer.js', 'transcript-chat.js', 'transcript-translator.js');
+
 class TranscriptionService {
     constructor() {
         this.isRecording = false;
         this.audioBuffer = [];
-        this.retryQueue = [];
+        this.store = new TranscriptionDatabase();
+        this.isProcessingQueue = false;
+        // Ids of buffered chunks being sent, so the queue and "Retry now" never send one twice
+        this.attemptingChunks = new Set();
         this.maxRetries = 3;
-        this.baseDelay = 1000;
+        this.baseDelay = 30000; // chrome.alarms cannot fire more often than every 30 seconds
+
+        // Live summaries are a convenience; they are rate limited separately and never
+        // run alongside retries so they don't compete with transcription requests
+        this.liveSummaryInterval = 60000;
+        this.lastLiveSummaryAt = 0;
+        this.isUpdatingLiveSummary = false;
         
         this.init();
     }
@@ -21,8 +32,22 @@ class TranscriptionService {
             await chrome.sidePanel.open({ tabId: tab.id });
         });
 
-        // Process retry queue periodically
-        setInterval(() => this.processRetryQueue(), 5000);
+        // Process retry queue periodically. Alarms wake the service worker up again
+        // after it has been suspended, unlike setInterval.
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name === 'processRetryQueue') {
+                this.processRetryQueue();
+            }
+        });
+
+        chrome.alarms.get('processRetryQueue').then((alarm) => {
+            if (!alarm) {
+                chrome.alarms.create('processRetryQueue', { periodInMinutes: 0.5 });
+            }
+        });
+
+        // Drain buffered chunks as soon as connectivity returns
+        self.addEventListener('online', () => this.processRetryQueue());
     }
 
     async handleMessage(message, sender, sendResponse) {
@@ -38,8 +63,87 @@ class TranscriptionService {
                     sendResponse({ success: true });
                     break;
 
-                case 'transcribeAudio':
-                    await this.transcribeAudio(message.audioData, message.timestamp);
+                case 'transcribeAudio': {
+                    const outcome = await this.transcribeAudio({
+                        audioData: message.audioData,
+                        mimeType: message.mimeType || 'audio/wav',
+                        timestamp: message.timestamp,
+                        audioStart: message.audioStart,
+                        audioEnd: message.audioEnd,
+                        overlapDuration: message.overlapDuration || 0,
+                        source: message.source || 'Tab Audio',
+                        channel: message.channel || 'tab',
+                        hasOverlap: !!message.hasOverlap,
+                        diarize: !!message.diarize,
+                        speakerContext: message.speakerContext || null,
+                        language: message.language || '',
+                        vocabulary: message.vocabulary || [],
+                        media: message.media || null,
+                        sessionId: message.sessionId || null
+                    });
+                    sendResponse({ success: true, ...outcome });
+                    break;
+                }
+
+                case 'getRetryQueue':
+                    sendResponse({ success: true, items: await this.getRetryQueueSummary() });
+                    // A sidepanel just opened: hand it what was transcribed while it was closed
+                    await this.deliverTranscribedChunks();
+                    break;
+
+                case 'retryChunk':
+                    sendResponse({ success: true });
+                    await this.retryChunk(message.id);
+                    break;
+
+                case 'testConnection':
+                    sendResponse(await this.testConnection(message.provider));
+                    break;
+
+                case 'connectivityChanged':
+                    if (message.online) {
+                        await this.processRetryQueue();
+                    }
+                    sendResponse({ success: true });
+                    break;
+
+                case 'summarizeTranscript':
+                    sendResponse(await this.summarizeTranscript(message.lines, message.title));
+                    break;
+
+                case 'askTranscript':
+                    sendResponse(await this.askTranscript(message.question, message.segments, message.history));
+                    break;
+
+                case 'translateTexts':
+                    sendResponse(await this.translateTexts(message.texts, message.language));
+                    break;
+
+                case 'updateLiveSummary':
+                    sendResponse(await this.updateLiveSummary(message.points, message.lines, message.title));
+                    break;
+
+                case 'audioStateUpdate':
+                    // Content scripts can't know their tab id; the sidepanel needs it
+                    // to match the update with the active or recorded tab
+                    if (sender.tab) {
+                        chrome.runtime.sendMessage({
+                            type: 'mediaStateChanged',
+                            tabId: sender.tab.id,
+                            windowId: sender.tab.windowId,
+                            hasActiveAudio: !!message.hasActiveAudio,
+                            url: message.url,
+                            title: message.title
+                        }).catch(() => {
+                            // The sidepanel is closed
+                        });
+                    }
+                    sendResponse({ success: true });
+                    break;
+
+                case 'discardChunk':
+                    await this.store.deleteChunk(message.id);
+                    await this.notifyRetryQueueUpdated();
                     sendResponse({ success: true });
                     break;
 
@@ -60,40 +164,36 @@ class TranscriptionService {
 
     async startRecording(sourceType) {
         this.isRecording = true;
+        // The service worker may be restarted mid-session, so keep the state in session storage
+        await chrome.storage.session.set({ isRecording: true });
         console.log('Started recording:', sourceType);
     }
 
     async stopRecording() {
         this.isRecording = false;
         this.audioBuffer = [];
+        await chrome.storage.session.set({ isRecording: false });
         console.log('Stopped recording');
     }
 
-    async transcribeAudio(audioData, timestamp) {
-        if (!this.isRecording) return;
+    // Returns { latency } in ms when the chunk was transcribed, { rateLimited } when it
+    // failed, so the sidepanel can adapt the chunk length
+    async transcribeAudio(chunk) {
+        if (!this.isRecording) {
+            const state = await chrome.storage.session.get('isRecording');
+            this.isRecording = !!state.isRecording;
+        }
+        if (!this.isRecording) return {};
+
+        // Without a network connection the chunk is stored locally until we are back online
+        if (!this.isOnline()) {
+            await this.bufferChunk(chunk);
+            return {};
+        }
 
         try {
-            const settings = await chrome.storage.sync.get([
-                'apiProvider',
-                'gemini_api_key',
-                'whisper_api_key',
-                'deepgram_api_key',
-                'fireworks_api_key'
-            ]);
-
-            const apiProvider = settings.apiProvider || 'gemini';
-            const apiKey = settings[`${apiProvider}_api_key`];
-
-            if (!apiKey) {
-                throw new Error(`No API key configured for ${apiProvider}`);
-            }
-
-            const transcriptionResult = await this.callTranscriptionAPI(
-                apiProvider,
-                apiKey,
-                audioData,
-                timestamp
-            );
+            const requestedAt = Date.now();
+            const transcriptionResult = await this.transcribeChunk(chunk);
 
             // Send result to sidepanel
             this.sendToSidepanel({
@@ -101,230 +201,329 @@ class TranscriptionService {
                 data: transcriptionResult
             });
 
+            return { latency: Date.now() - requestedAt };
         } catch (error) {
+            if (this.isNetworkError(error)) {
+                await this.bufferChunk(chunk);
+                return {};
+            }
+
             console.error('Transcription error:', error);
             
-            // Add to retry queue
-            this.retryQueue.push({
-                audioData,
-                timestamp,
+            // Add to the persistent retry queue
+            await this.store.saveChunk({
+                ...chunk,
+                id: crypto.randomUUID(),
+                status: 'pending',
                 retryCount: 0,
+                nextAttemptAt: Date.now() + this.baseDelay,
                 lastError: error.message
             });
+            await this.notifyRetryQueueUpdated();
 
             this.sendToSidepanel({
                 type: 'error',
                 message: `Transcription failed: ${error.message}`
             });
+
+            return { rateLimited: error.status === 429 };
         }
     }
 
-    async callTranscriptionAPI(provider, apiKey, audioData, timestamp) {
-        switch (provider) {
-            case 'gemini':
-                return await this.callGeminiAPI(apiKey, audioData, timestamp);
-            case 'whisper':
-                return await this.callWhisperAPI(apiKey, audioData, timestamp);
-            case 'deepgram':
-                return await this.callDeepgramAPI(apiKey, audioData, timestamp);
-            case 'fireworks':
-                return await this.callFireworksAPI(apiKey, audioData, timestamp);
-            default:
-                throw new Error(`Unsupported API provider: ${provider}`);
-        }
+    async bufferChunk(chunk) {
+        await this.store.saveChunk({
+            ...chunk,
+            id: crypto.randomUUID(),
+            status: 'buffered',
+            retryCount: 0,
+            nextAttemptAt: 0,
+            lastError: null
+        });
+        await this.notifyRetryQueueUpdated();
     }
 
-    async callGeminiAPI(apiKey, audioData, timestamp) {
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${apiKey}`;
-        
-        const payload = {
-            contents: [{
-                parts: [
-                    {
-                        text: "Please transcribe the following audio file. Return only the transcribed text without any additional commentary or formatting."
-                    },
-                    {
-                        inline_data: {
-                            mime_type: "audio/webm",
-                            data: audioData
-                        }
-                    }
-                ]
-            }]
-        };
+    isOnline() {
+        return navigator.onLine;
+    }
 
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(payload)
-        });
+    isNetworkError(error) {
+        // Providers mark requests that never got a response, see TranscriptionProvider.fetch()
+        return !this.isOnline() || error.network === true;
+    }
 
-        if (!response.ok) {
-            const errorData = await response.text();
-            throw new Error(`Gemini API error: ${response.status} - ${errorData}`);
-        }
+    async transcribeChunk(chunk) {
+        const { apiProvider } = await chrome.storage.sync.get({ apiProvider: 'gemini' });
+        const { provider, config } = await this.getProviderConfig(apiProvider);
+        const mimeType = chunk.mimeType || 'audio/wav';
 
-        const result = await response.json();
-        
-        if (!result.candidates || !result.candidates[0] || !result.candidates[0].content) {
-            throw new Error('Invalid response from Gemini API');
+        if (!provider.acceptsFormat(mimeType)) {
+            throw new Error(`${provider.name} does not accept ${mimeType} audio`);
         }
 
-        const transcribedText = result.candidates[0].content.parts[0].text;
+        const result = await provider.transcribe(chunk.audioData, mimeType, config, {
+            diarize: chunk.diarize && provider.diarization,
+            speakerContext: chunk.speakerContext || {},
+            language: chunk.language || '',
+            vocabulary: chunk.vocabulary || []
+        });
 
+        // Label the result with the channel the audio was recorded from
         return {
-            text: transcribedText,
-            timestamp: timestamp,
-            source: 'Tab Audio',
-            confidence: null,
-            provider: 'gemini'
+            ...result,
+            timestamp: chunk.timestamp,
+            audioStart: chunk.audioStart,
+            audioEnd: chunk.audioEnd,
+            overlapDuration: chunk.overlapDuration || 0,
+            provider: provider.id,
+            source: chunk.source || 'Tab Audio',
+            channel: chunk.channel || 'tab',
+            hasOverlap: !!chunk.hasOverlap,
+            // The detected language, or the one chosen for the session
+            language: result.language || chunk.language || null,
+            // Where the page's video was when the chunk's audio starts
+            media: chunk.media || null,
+            sessionId: chunk.sessionId
         };
     }
 
-    async callWhisperAPI(apiKey, audioData, timestamp) {
-        // Convert base64 to blob for OpenAI API
-        const audioBlob = this.base64ToBlob(audioData, 'audio/webm');
-        
-        const formData = new FormData();
-        formData.append('file', audioBlob, 'audio.webm');
-        formData.append('model', 'whisper-1');
-        formData.append('response_format', 'json');
-
-        const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: formData
-        });
-
-        if (!response.ok) {
-            const errorData = await response.text();
-            throw new Error(`Whisper API error: ${response.status} - ${errorData}`);
+    async testConnection(providerId) {
+        try {
+            const { provider, config } = await this.getProviderConfig(providerId);
+            await provider.testConnection(config);
+            return { success: true, connected: true };
+        } catch (error) {
+            return { success: true, connected: false, error: error.message };
         }
+    }
 
-        const result = await response.json();
+    async getProviderConfig(providerId) {
+        const provider = providerRegistry.get(providerId);
+        const storedSettings = await chrome.storage.sync.get(provider.getStorageKeys());
+        const config = provider.resolveConfig(storedSettings);
 
-        return {
-            text: result.text,
-            timestamp: timestamp,
-            source: 'Tab Audio',
-            confidence: null,
-            provider: 'whisper'
-        };
+        provider.validateConfig(config);
+        return { provider, config };
     }
 
-    async callDeepgramAPI(apiKey, audioData, timestamp) {
-        const audioBlob = this.base64ToBlob(audioData, 'audio/webm');
+    async getLanguageModelConfig() {
+        const { llmProvider, llmModel } = await chrome.storage.sync.get({ llmProvider: 'gemini', llmModel: '' });
+        const languageModel = languageModelRegistry.get(llmProvider);
+        const storedSettings = await chrome.storage.sync.get(languageModel.getStorageKeys());
+        const config = languageModel.resolveConfig(storedSettings, llmModel);
 
-        const response = await fetch('https://api.deepgram.com/v1/listen?model=nova-2&smart_format=true', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Token ${apiKey}`,
-                'Content-Type': 'audio/webm'
-            },
-            body: audioBlob
-        });
+        languageModel.validateConfig(config);
+        return { languageModel, config };
+    }
 
-        if (!response.ok) {
-            const errorData = await response.text();
-            throw new Error(`Deepgram API error: ${response.status} - ${errorData}`);
+    // Failures are returned rather than broadcast; the sidepanel shows them next to the Summarize button
+    async summarizeTranscript(lines, title) {
+        try {
+            const { languageModel, config } = await this.getLanguageModelConfig();
+            const summarizer = new TranscriptSummarizer(languageModel, config);
+            const summary = await summarizer.summarize(lines || [], title);
+
+            return {
+                success: true,
+                summary: {
+                    ...summary,
+                    generatedAt: Date.now(),
+                    model: `${languageModel.name} · ${config.model}`
+                }
+            };
+        } catch (error) {
+            console.error('Summary failed:', error);
+            return { success: false, error: error.message };
         }
+    }
 
-        const result = await response.json();
+    async askTranscript(question, segments, history) {
+        try {
+            const { languageModel, config } = await this.getLanguageModelConfig();
+            const chat = new TranscriptChat(languageModel, config);
+            const { answer, citations } = await chat.ask(question || '', segments || [], history || []);
 
-        if (!result.results || !result.results.channels || !result.results.channels[0]) {
-            throw new Error('Invalid response from Deepgram API');
+            return { success: true, answer, citations };
+        } catch (error) {
+            console.error('Question failed:', error);
+            return { success: false, error: error.message };
         }
+    }
 
-        const transcript = result.results.channels[0].alternatives[0].transcript;
-        const confidence = result.results.channels[0].alternatives[0].confidence;
+    async translateTexts(texts, language) {
+        try {
+            const { languageModel, config } = await this.getLanguageModelConfig();
+            const translator = new TranscriptTranslator(languageModel, config);
 
-        return {
-            text: transcript,
-            timestamp: timestamp,
-            source: 'Tab Audio',
-            confidence: confidence,
-            provider: 'deepgram'
-        };
+            return { success: true, translations: await translator.translate(texts || [], language) };
+        } catch (error) {
+            console.error('Translation failed:', error);
+            return { success: false, error: error.message };
+        }
     }
 
-    async callFireworksAPI(apiKey, audioData, timestamp) {
-        // Note: This is a placeholder implementation
-        // Fireworks AI may not have a direct speech-to-text API
-        // You would need to check their actual API documentation
-        throw new Error('Fireworks API implementation not available');
+    async updateLiveSummary(points, lines, title) {
+        const wait = this.lastLiveSummaryAt + this.liveSummaryInterval - Date.now();
+
+        if (this.isUpdatingLiveSummary || this.isProcessingQueue || wait > 0) {
+            return { success: false, skipped: true, retryAfter: Math.max(wait, 5000) };
+        }
+
+        this.isUpdatingLiveSummary = true;
+        this.lastLiveSummaryAt = Date.now();
+
+        try {
+            const { languageModel, config } = await this.getLanguageModelConfig();
+            const summarizer = new TranscriptSummarizer(languageModel, config);
+
+            return { success: true, points: await summarizer.fold(points || [], lines || [], title) };
+        } catch (error) {
+            console.error('Live summary failed:', error);
+            return { success: false, error: error.message };
+        } finally {
+            this.isUpdatingLiveSummary = false;
+        }
     }
 
-    base64ToBlob(base64Data, contentType) {
-        const byteCharacters = atob(base64Data);
-        const byteArrays = [];
+    async processRetryQueue() {
+        if (this.isProcessingQueue) return;
+        this.isProcessingQueue = true;
 
-        for (let offset = 0; offset < byteCharacters.length; offset += 512) {
-            const slice = byteCharacters.slice(offset, offset + 512);
-            const byteNumbers = new Array(slice.length);
-            
-            for (let i = 0; i < slice.length; i++) {
-                byteNumbers[i] = slice.charCodeAt(i);
+        try {
+            await this.deliverTranscribedChunks();
+
+            const chunks = await this.store.listChunks();
+            const now = Date.now();
+
+            // Chunks are listed oldest first, so buffered audio is drained in order
+            for (const listed of chunks) {
+                if (!this.isOnline()) break;
+
+                // A manual retry may have sent or changed the chunk since the list was read
+                const chunk = await this.store.getChunk(listed.id);
+                if (!chunk || this.attemptingChunks.has(chunk.id)) continue;
+                if (chunk.status === 'failed' || chunk.status === 'transcribed' || chunk.nextAttemptAt > now) continue;
+
+                const reachedProvider = await this.attemptChunk(chunk);
+                if (!reachedProvider) break;
             }
-            
-            const byteArray = new Uint8Array(byteNumbers);
-            byteArrays.push(byteArray);
+        } catch (error) {
+            console.error('Error processing retry queue:', error);
+        } finally {
+            this.isProcessingQueue = false;
         }
-
-        return new Blob(byteArrays, { type: contentType });
     }
 
-    async processRetryQueue() {
-        if (this.retryQueue.length === 0) return;
+    async retryChunk(id) {
+        const chunk = await this.store.getChunk(id);
+        if (!chunk || chunk.status === 'transcribed' || this.attemptingChunks.has(id)) return;
 
-        const item = this.retryQueue.shift();
-        
-        if (item.retryCount >= this.maxRetries) {
-            console.error(`Max retries exceeded for transcription: ${item.lastError}`);
-            return;
+        // A manual retry gets a fresh set of attempts
+        chunk.retryCount = 0;
+        await this.attemptChunk(chunk);
+    }
+
+    async attemptChunk(chunk) {
+        this.attemptingChunks.add(chunk.id);
+        try {
+            return await this.sendChunk(chunk);
+        } finally {
+            this.attemptingChunks.delete(chunk.id);
         }
+    }
+
+    // Returns whether the request reached the provider
+    async sendChunk(chunk) {
+        chunk.status = 'retrying';
+        await this.store.saveChunk(chunk);
+        await this.notifyRetryQueueUpdated();
 
         try {
-            const delay = this.baseDelay * Math.pow(2, item.retryCount);
-            await new Promise(resolve => setTimeout(resolve, delay));
-
-            const settings = await chrome.storage.sync.get([
-                'apiProvider',
-                'gemini_api_key',
-                'whisper_api_key',
-                'deepgram_api_key',
-                'fireworks_api_key'
-            ]);
-
-            const apiProvider = settings.apiProvider || 'gemini';
-            const apiKey = settings[`${apiProvider}_api_key`];
-
-            if (!apiKey) {
-                throw new Error(`No API key configured for ${apiProvider}`);
+            const result = await this.transcribeChunk(chunk);
+
+            // Retries mostly run while the sidepanel is closed; the chunk is only deleted
+            // once a sidepanel has stored the result, until then the result is kept with it
+            if (await this.deliverResult(result)) {
+                await this.store.deleteChunk(chunk.id);
+            } else {
+                chunk.status = 'transcribed';
+                chunk.result = result;
+                chunk.audioData = null;
+                await this.store.saveChunk(chunk);
             }
 
-            const result = await this.callTranscriptionAPI(
-                apiProvider,
-                apiKey,
-                item.audioData,
-                item.timestamp
-            );
+        } catch (error) {
+            // Lost connectivity again: keep the chunk buffered without using up a retry
+            if (this.isNetworkError(error)) {
+                chunk.status = 'buffered';
+                chunk.nextAttemptAt = 0;
+                await this.store.saveChunk(chunk);
+                await this.notifyRetryQueueUpdated();
+                return false;
+            }
 
-            this.sendToSidepanel({
-                type: 'transcriptionResult',
-                data: result
-            });
+            chunk.retryCount++;
+            chunk.lastError = error.message;
+
+            if (chunk.retryCount >= this.maxRetries) {
+                console.error(`Max retries exceeded for transcription: ${chunk.lastError}`);
+                chunk.status = 'failed';
+            } else {
+                chunk.status = 'pending';
+                chunk.nextAttemptAt = Date.now() + this.baseDelay * Math.pow(2, chunk.retryCount - 1);
+            }
 
+            await this.store.saveChunk(chunk);
+        }
+
+        await this.notifyRetryQueueUpdated();
+        return true;
+    }
+
+    // Sends a result to the sidepanel; true once it was stored in its session
+    async deliverResult(result) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'transcriptionResult', data: result });
+            return !!(response && response.stored);
         } catch (error) {
-            item.retryCount++;
-            item.lastError = error.message;
-            this.retryQueue.push(item);
+            // No sidepanel is open
+            return false;
+        }
+    }
+
+    // Results of retried chunks that no sidepanel was open to store, oldest first
+    async deliverTranscribedChunks() {
+        const chunks = (await this.store.listChunks()).filter(chunk => chunk.status === 'transcribed');
+
+        for (const chunk of chunks) {
+            if (!await this.deliverResult(chunk.result)) return;
+            await this.store.deleteChunk(chunk.id);
         }
     }
 
+    async getRetryQueueSummary() {
+        // Transcribed chunks only wait for a sidepanel to store their result
+        const chunks = (await this.store.listChunks()).filter(chunk => chunk.status !== 'transcribed');
+
+        // Leave the audio out, the sidepanel only needs the metadata
+        return chunks.map(chunk => ({
+            id: chunk.id,
+            timestamp: chunk.timestamp,
+            sessionId: chunk.sessionId,
+            status: chunk.status,
+            retryCount: chunk.retryCount,
+            maxRetries: this.maxRetries,
+            nextAttemptAt: chunk.nextAttemptAt,
+            lastError: chunk.lastError
+        }));
+    }
+
+    async notifyRetryQueueUpdated() {
+        this.sendToSidepanel({
+            type: 'retryQueueUpdated',
+            items: await this.getRetryQueueSummary()
+        });
+    }
+
     sendToSidepanel(message) {
         // Send message to all tabs (sidepanel will receive it)
         chrome.tabs.query({}, (tabs) => {
@@ -0,0 +1,223 @@
+// Live captions drawn over the captured page, fed by content.js. The overlay lives
+// in a closed shadow root so the page's CSS and scripts can't reach it, can be
+// dragged and resized, and moves into the fullscreen element when a video player
+// goes fullscreen, since nothing outside that element is shown then. Its position
+// and size are kept in chrome.storage.local so it comes back in the same place.
+
+const CAPTION_OVERLAY_STYLE = `
+    .box {
+        position: fixed;
+        box-sizing: border-box;
+        display: flex;
+        flex-direction: column;
+        justify-content: flex-end;
+        min-width: 160px;
+        min-height: 40px;
+        padding: 8px 14px;
+        border-radius: 6px;
+        overflow: hidden;
+        resize: both;
+        cursor: move;
+        user-select: none;
+        touch-action: none;
+        color: #fff;
+        font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif;
+        line-height: 1.4;
+        text-align: center;
+        text-shadow: 0 1px 2px rgba(0, 0, 0, 0.8);
+    }
+
+    .text {
+        overflow: hidden;
+        overflow-wrap: anywhere;
+        white-space: pre-wrap;
+    }
+
+    .interim {
+        opacity: 0.7;
+    }
+`;
+
+class CaptionOverlay {
+    constructor() {
+        this.host = null;
+        this.box = null;
+        this.text = null;
+        this.style = { fontSize: 24, backgroundOpacity: 0.6, lineCount: 2 };
+        // { left, top, width, height } in px once the user moved or resized the overlay
+        this.geometry = null;
+        // Pending while the overlay is being created, so updates in quick succession create it once
+        this.ready = null;
+        // The inline size last set here, to tell the user's resizing from text changes
+        this.appliedSize = '';
+
+        this.handleFullscreenChange = () => this.attach();
+        this.handleWindowResize = () => this.applyGeometry();
+    }
+
+    // lines: the newest transcript lines, oldest first; interim: text still being recognized
+    async show(lines, interim, style) {
+        this.style = { ...this.style, ...style };
+
+        if (!this.ready) {
+            this.ready = this.create();
+        }
+        await this.ready;
+
+        this.render(lines, interim || '');
+    }
+
+    async hide() {
+        const ready = this.ready;
+        if (!ready) return;
+
+        await ready;
+        if (this.ready !== ready) return;
+
+        document.removeEventListener('fullscreenchange', this.handleFullscreenChange);
+        window.removeEventListener('resize', this.handleWindowResize);
+        this.resizeObserver.disconnect();
+        this.host.remove();
+        this.host = null;
+        this.ready = null;
+    }
+
+    async create() {
+        const { captionOverlayBox } = await chrome.storage.local.get({ captionOverlayBox: null });
+        this.geometry = captionOverlayBox;
+
+        // A tag no page styles, and inline !important styles for what the page could still override
+        this.host = document.createElement('audio-transcription-captions');
+        this.host.style.setProperty('all', 'initial', 'important');
+        this.host.style.setProperty('position', 'fixed', 'important');
+        this.host.style.setProperty('z-index', '2147483647', 'important');
+
+        const root = this.host.attachShadow({ mode: 'closed' });
+        const style = document.createElement('style');
+        style.textContent = CAPTION_OVERLAY_STYLE;
+        root.appendChild(style);
+
+        this.box = document.createElement('div');
+        this.box.className = 'box';
+        this.text = document.createElement('div');
+        this.text.className = 'text';
+        this.box.appendChild(this.text);
+        root.appendChild(this.box);
+
+        this.applyGeometry();
+        this.bindDragging();
+
+        // Resizing is the browser's own resize handle, which sets the inline size
+        this.resizeObserver = new ResizeObserver(() => {
+            const size = `${this.box.style.width}|${this.box.style.height}`;
+            if (size !== this.appliedSize) {
+                this.appliedSize = size;
+                this.saveGeometry();
+            }
+        });
+        this.resizeObserver.observe(this.box);
+
+        document.addEventListener('fullscreenchange', this.handleFullscreenChange);
+        window.addEventListener('resize', this.handleWindowResize);
+        this.attach();
+    }
+
+    // Only the fullscreen element and its children are visible in fullscreen. A <video>
+    // can't have children, so a video fullscreened on its own can't show the overlay.
+    attach() {
+        if (!this.host) return;
+
+        const fullscreen = document.fullscreenElement;
+        const parent = fullscreen && !(fullscreen instanceof HTMLMediaElement) ? fullscreen : document.documentElement;
+        if (this.host.parentNode !== parent) {
+            parent.appendChild(this.host);
+        }
+        this.applyGeometry();
+    }
+
+    render(lines, interim) {
+        const { fontSize, backgroundOpacity, lineCount } = this.style;
+
+        this.box.style.fontSize = `${fontSize}px`;
+        this.box.style.background = `rgba(0, 0, 0, ${backgroundOpacity})`;
+        // Only the last lineCount lines fit; the newest text stays at the bottom
+        this.text.style.maxHeight = `${lineCount * 1.4}em`;
+
+        this.text.textContent = lines.join('\n');
+        if (interim) {
+            const span = document.createElement('span');
+            span.className = 'interim';
+            span.textContent = `${lines.length > 0 ? '\n' : ''}${interim}`;
+            this.text.appendChild(span);
+        }
+        this.text.scrollTop = this.text.scrollHeight;
+    }
+
+    applyGeometry() {
+        if (!this.host) return;
+
+        const width = Math.min(window.innerWidth - 20, this.geometry ? this.geometry.width : Math.min(720, window.innerWidth * 0.8));
+        this.box.style.width = `${width}px`;
+        this.box.style.height = this.geometry && this.geometry.height ? `${this.geometry.height}px` : '';
+        this.appliedSize = `${this.box.style.width}|${this.box.style.height}`;
+
+        // Bottom centre by default, like subtitles, growing upwards with the text
+        if (!this.geometry) {
+            this.box.style.left = `${(window.innerWidth - width) / 2}px`;
+            this.box.style.top = '';
+            this.box.style.bottom = '60px';
+            return;
+        }
+
+        // A moved overlay stays where it was put, as far as it fits on screen
+        const height = this.box.offsetHeight;
+        this.box.style.left = `${Math.max(0, Math.min(this.geometry.left, window.innerWidth - width))}px`;
+        this.box.style.top = `${Math.max(0, Math.min(this.geometry.top, window.innerHeight - height))}px`;
+        this.box.style.bottom = '';
+    }
+
+    bindDragging() {
+        let start = null;
+
+        this.box.addEventListener('pointerdown', (event) => {
+            // The bottom right corner belongs to the resize handle
+            const rect = this.box.getBoundingClientRect();
+            if (event.clientX > rect.right - 16 && event.clientY > rect.bottom - 16) return;
+
+            start = { x: event.clientX, y: event.clientY, left: rect.left, top: rect.top };
+            this.box.setPointerCapture(event.pointerId);
+            event.preventDefault();
+        });
+
+        this.box.addEventListener('pointermove', (event) => {
+            if (!start) return;
+
+            this.box.style.left = `${start.left + event.clientX - start.x}px`;
+            this.box.style.top = `${start.top + event.clientY - start.y}px`;
+            this.box.style.bottom = '';
+        });
+
+        const stop = () => {
+            if (!start) return;
+
+            start = null;
+            this.saveGeometry();
+        };
+        this.box.addEventListener('pointerup', stop);
+        this.box.addEventListener('pointercancel', stop);
+    }
+
+    saveGeometry() {
+        const rect = this.box.getBoundingClientRect();
+        this.geometry = {
+            left: Math.round(rect.left),
+            top: Math.round(rect.top),
+            width: Math.round(rect.width),
+            height: this.box.style.height ? Math.round(rect.height) : null
+        };
+
+        chrome.storage.local.set({ captionOverlayBox: this.geometry }).catch(() => {
+            // The extension was reloaded or updated since this page loaded
+        });
+    }
+}
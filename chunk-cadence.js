@@ -0,0 +1,45 @@
+// Chunk length for the adaptive chunk size setting. Short chunks show text
+// sooner but cost more requests, so chunks get shorter while the provider
+// answers well within a chunk's duration, longer when it is slow, and twice as
+// long when it reports rate limiting.
+
+class ChunkCadence {
+    constructor(options = {}) {
+        this.minSeconds = options.minSeconds || 5;
+        this.maxSeconds = options.maxSeconds || 60;
+        this.seconds = Math.min(this.maxSeconds, Math.max(this.minSeconds, options.initialSeconds || 30));
+        // Fast responses in a row needed before chunks get shorter again
+        this.fastResponsesToShorten = options.fastResponsesToShorten || 3;
+        this.fastResponses = 0;
+    }
+
+    // Records the outcome of one chunk: its audio length in ms, how long the provider took
+    // and whether it was rate limited. Returns the length for the next chunks in seconds.
+    record({ duration, latency, rateLimited }) {
+        if (rateLimited) {
+            this.fastResponses = 0;
+            return this.setSeconds(this.seconds * 2);
+        }
+        if (latency === null || latency === undefined || !duration) {
+            return this.seconds;
+        }
+
+        // Slower than most of the chunk's duration: results would fall further and further behind
+        if (latency > duration * 0.6) {
+            this.fastResponses = 0;
+            return this.setSeconds(this.seconds * 1.25);
+        }
+
+        if (latency < duration * 0.25 && ++this.fastResponses >= this.fastResponsesToShorten) {
+            this.fastResponses = 0;
+            return this.setSeconds(this.seconds * 0.8);
+        }
+
+        return this.seconds;
+    }
+
+    setSeconds(seconds) {
+        this.seconds = Math.min(this.maxSeconds, Math.max(this.minSeconds, Math.round(seconds)));
+        return this.seconds;
+    }
+}
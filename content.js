@@ -1,22 +1,56 @@
 // Content script for Chrome Extension Audio Transcription
 // This script helps with communication between the sidepanel and background script
 
+// The port page-audio-hook.js reports Web Audio and WebRTC state through. It is taken
+// here at document_start, before page scripts run, so the page can't hand over its own.
+let pageHookPort = null;
+
+const acceptPageHookPort = (event) => {
+    if (!event.ports || !event.ports[0]) return;
+
+    window.removeEventListener('audio-transcription-hook-port', acceptPageHookPort, true);
+    event.preventDefault();
+    pageHookPort = event.ports[0];
+};
+window.addEventListener('audio-transcription-hook-port', acceptPageHookPort, true);
+// In case the hook ran first and is waiting for this script
+window.dispatchEvent(new Event('audio-transcription-content-ready'));
+
 class ContentScriptHandler {
     constructor() {
         this.init();
     }
 
     init() {
+        // Captions over the page while the sidepanel records it (caption-overlay.js)
+        this.captionOverlay = new CaptionOverlay();
+
         // Listen for messages from background script
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             if (message.type === 'transcriptionResult' || message.type === 'error') {
                 // Forward messages to sidepanel if it's open
                 this.forwardToSidepanel(message);
+            } else if (message.type === 'getPageInfo') {
+                // The sidepanel matches site rules against the page's own URL
+                sendResponse({
+                    url: window.location.href,
+                    title: document.title,
+                    hasActiveAudio: !!this.lastAudioState
+                });
+            } else if (message.type === 'getMediaTime') {
+                sendResponse(this.getMediaTimeAt(message.at));
+            } else if (message.type === 'seekMedia') {
+                sendResponse({ success: this.seekMedia(message.time) });
+            } else if (message.type === 'showCaptions') {
+                this.captionOverlay.show(message.lines, message.interim, message.style);
+            } else if (message.type === 'hideCaptions') {
+                this.captionOverlay.hide();
             }
         });
 
         // Monitor tab audio state
         this.monitorAudioState();
+        this.trackMediaTime();
     }
 
     forwardToSidepanel(message) {
@@ -28,22 +62,27 @@ class ContentScriptHandler {
     }
 
     monitorAudioState() {
+        // Web Audio and WebRTC state reported by page-audio-hook.js from the page's own world
+        this.pageAudio = { webAudio: false, webRtc: false };
+        this.lastAudioState = null;
+
         // Check if tab is playing audio
         const checkAudioState = () => {
             const audioElements = document.querySelectorAll('audio, video');
             let hasActiveAudio = false;
 
             audioElements.forEach(element => {
-                if (!element.paused && !element.muted && element.currentTime > 0) {
+                if (!element.paused && !element.ended && !element.muted && element.volume > 0 && element.currentTime > 0) {
                     hasActiveAudio = true;
                 }
             });
 
-            // Also check for Web Audio API usage
-            if (window.AudioContext || window.webkitAudioContext) {
-                // This is a simplified check - in practice, you'd need more sophisticated detection
-                hasActiveAudio = hasActiveAudio || this.detectWebAudioActivity();
-            }
+            // Also check for Web Audio API and WebRTC usage
+            hasActiveAudio = hasActiveAudio || this.detectWebAudioActivity();
+
+            // Only changes are sent; the sidepanel starts and stops recording on them
+            if (hasActiveAudio === this.lastAudioState) return;
+            this.lastAudioState = hasActiveAudio;
 
             // Send audio state to background
             chrome.runtime.sendMessage({
@@ -52,9 +91,26 @@ class ContentScriptHandler {
                 tabId: this.getTabId(),
                 url: window.location.href,
                 title: document.title
+            }).catch(() => {
+                // The extension was reloaded or updated since this page loaded
             });
         };
 
+        // Only the hook holds the other end; messages sent before now wait in the port
+        if (pageHookPort) {
+            pageHookPort.onmessage = (event) => {
+                if (event.data.type === 'pageAudioState') {
+                    this.pageAudio = { webAudio: !!event.data.webAudio, webRtc: !!event.data.webRtc };
+                    checkAudioState();
+                }
+            };
+        }
+
+        // Media events don't bubble, but they can be caught on the way down
+        ['play', 'playing', 'pause', 'ended', 'volumechange', 'emptied'].forEach(type => {
+            document.addEventListener(type, () => setTimeout(checkAudioState, 100), true);
+        });
+
         // Check audio state periodically
         setInterval(checkAudioState, 2000);
 
@@ -78,13 +134,83 @@ class ContentScriptHandler {
             childList: true,
             subtree: true
         });
+
+        checkAudioState();
+    }
+
+    // Keeps where the playing video or audio element was at each moment, so the
+    // sidepanel can map a point of the recording to a point of the media even
+    // after seeks, pauses and playback speed changes
+    trackMediaTime() {
+        // The element being listened to, and [{ at, time, rate, playing, url }] from its events
+        this.mediaElement = null;
+        this.mediaAnchors = [];
+
+        const addAnchor = (event) => {
+            const element = event.target;
+            if (!(element instanceof HTMLMediaElement)) return;
+
+            // Muted previews and other paused players don't take over from the one being listened to
+            if (element !== this.mediaElement) {
+                if (element.paused || element.muted) return;
+                this.mediaElement = element;
+            }
+
+            this.mediaAnchors.push({
+                at: Date.now(),
+                time: element.currentTime,
+                rate: element.playbackRate,
+                playing: !element.paused && !element.ended && event.type !== 'waiting',
+                url: window.location.href
+            });
+            if (this.mediaAnchors.length > 500) {
+                this.mediaAnchors.shift();
+            }
+        };
+
+        ['playing', 'pause', 'seeked', 'ratechange', 'waiting', 'ended'].forEach(type => {
+            document.addEventListener(type, addAnchor, true);
+        });
+
+        // Media that was already playing when the script started
+        const playing = Array.from(document.querySelectorAll('audio, video')).find(element => !element.paused && !element.muted);
+        if (playing) {
+            addAnchor({ type: 'playing', target: playing });
+        }
+    }
+
+    // The media time at a wall-clock time, as { url, time, rate }, or null without media
+    getMediaTimeAt(at) {
+        const anchors = this.mediaAnchors || [];
+        let anchor = null;
+        for (let i = anchors.length - 1; i >= 0; i--) {
+            if (anchors[i].at <= at) {
+                anchor = anchors[i];
+                break;
+            }
+        }
+        // Playback started after that moment: it is where the recording's audio begins
+        anchor = anchor || anchors[0];
+        if (!anchor) return null;
+
+        const elapsed = anchor.playing ? Math.max(0, at - anchor.at) / 1000 * anchor.rate : 0;
+        return { url: anchor.url, time: anchor.time + elapsed, rate: anchor.rate };
+    }
+
+    seekMedia(time) {
+        const element = this.mediaElement && this.mediaElement.isConnected
+            ? this.mediaElement
+            : document.querySelector('video, audio');
+        if (!element) return false;
+
+        element.currentTime = time;
+        return true;
     }
 
     detectWebAudioActivity() {
-        // This is a simplified detection method
-        // In a real implementation, you might need to hook into the Web Audio API
-        // to detect active audio processing
-        return false;
+        // The content script's isolated world can't see the page's AudioContexts or
+        // peer connections, so this relies on the hook injected into the page
+        return this.pageAudio.webAudio || this.pageAudio.webRtc;
     }
 
     getTabId() {
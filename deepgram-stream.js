@@ -0,0 +1,192 @@
+// Streams raw PCM to Deepgram's live WebSocket API and reports interim and final
+// transcripts. Dropped connections are re-established automatically; once the
+// reconnect attempts are used up the stream reports 'failed' so the caller can
+// fall back to batch transcription.
+
+class DeepgramStream {
+    constructor({ url, protocols, sampleRate, onTranscript, onStateChange }) {
+        this.url = url;
+        this.protocols = protocols;
+        this.sampleRate = sampleRate;
+        this.onTranscript = onTranscript || (() => {});
+        this.onStateChange = onStateChange || (() => {});
+
+        this.socket = null;
+        this.state = 'idle';
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 5;
+        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+        this.keepAliveTimer = null;
+        this.closing = false;
+
+        // Audio sent on earlier connections; Deepgram restarts its clock on every connection
+        this.sentSamples = 0;
+        this.connectionOffset = 0;
+
+        // Audio captured while reconnecting, replayed once the socket is open again
+        this.backlog = [];
+        this.backlogSamples = 0;
+        this.maxBacklogSamples = sampleRate * 10;
+    }
+
+    connect() {
+        this.setState(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
+
+        const socket = new WebSocket(this.url, this.protocols);
+        socket.binaryType = 'arraybuffer';
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.connectionOffset = this.sentSamples / this.sampleRate;
+            this.reconnectAttempts = 0;
+            this.setState('open');
+            this.flushBacklog();
+
+            // Deepgram closes idle streams after ~10 seconds, e.g. while recording is paused
+            this.keepAliveTimer = setInterval(() => {
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify({ type: 'KeepAlive' }));
+                }
+            }, 8000);
+        };
+
+        socket.onmessage = (event) => this.handleMessage(event.data);
+
+        socket.onerror = () => {
+            console.error('Deepgram stream error');
+        };
+
+        socket.onclose = (event) => {
+            clearInterval(this.keepAliveTimer);
+            this.keepAliveTimer = null;
+
+            if (this.closing) {
+                this.setState('closed');
+                return;
+            }
+
+            console.warn(`Deepgram stream closed (${event.code}): ${event.reason}`);
+            this.scheduleReconnect();
+        };
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.setState('failed');
+            return;
+        }
+
+        const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts);
+        this.reconnectAttempts++;
+        this.setState('reconnecting');
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+
+        if (message.type !== 'Results' || !message.channel) return;
+
+        const alternative = message.channel.alternatives[0];
+        if (!alternative) return;
+
+        this.onTranscript({
+            text: alternative.transcript,
+            confidence: alternative.confidence,
+            // Seconds from the start of the stream, across reconnects
+            words: (alternative.words || []).map(word => ({
+                ...word,
+                start: this.connectionOffset + word.start,
+                end: this.connectionOffset + word.end
+            })),
+            start: this.connectionOffset + message.start,
+            end: this.connectionOffset + message.start + message.duration,
+            isFinal: !!message.is_final,
+            speechFinal: !!message.speech_final
+        });
+    }
+
+    sendAudio(samples) {
+        const pcm = this.toLinear16(samples);
+
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(pcm);
+            this.sentSamples += samples.length;
+            return;
+        }
+
+        if (this.state === 'failed' || this.state === 'closed') return;
+
+        this.backlog.push(pcm);
+        this.backlogSamples += samples.length;
+
+        // Keep only the most recent audio if the outage lasts long
+        while (this.backlogSamples > this.maxBacklogSamples) {
+            const dropped = this.backlog.shift();
+            this.backlogSamples -= dropped.byteLength / 2;
+            this.sentSamples += dropped.byteLength / 2;
+        }
+    }
+
+    flushBacklog() {
+        this.backlog.forEach(pcm => {
+            this.socket.send(pcm);
+            this.sentSamples += pcm.byteLength / 2;
+        });
+
+        this.backlog = [];
+        this.backlogSamples = 0;
+    }
+
+    toLinear16(samples) {
+        const pcm = new Int16Array(samples.length);
+
+        for (let i = 0; i < samples.length; i++) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+        }
+
+        return pcm.buffer;
+    }
+
+    // Asks Deepgram to finalize the remaining audio and waits for the socket to close
+    async close() {
+        this.closing = true;
+        clearTimeout(this.reconnectTimer);
+
+        const socket = this.socket;
+        if (!socket || socket.readyState === WebSocket.CLOSED) {
+            this.setState('closed');
+            return;
+        }
+
+        await new Promise((resolve) => {
+            const timeout = setTimeout(() => {
+                socket.close();
+                resolve();
+            }, 3000);
+
+            socket.addEventListener('close', () => {
+                clearTimeout(timeout);
+                resolve();
+            });
+
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify({ type: 'CloseStream' }));
+            } else {
+                socket.close();
+            }
+        });
+    }
+
+    setState(state) {
+        this.state = state;
+        this.onStateChange(state);
+    }
+}
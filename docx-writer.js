@@ -0,0 +1,214 @@
+// Writes a minimal Word (.docx) document from the blocks produced by
+// TranscriptExporter.parseMarkdown(). A .docx file is a zip of XML parts; the
+// parts are small, so they are stored uncompressed.
+
+class DocxWriter {
+    static write(blocks, title = '') {
+        const links = [];
+        const body = blocks.map(block => DocxWriter.writeBlock(block, links)).join('');
+
+        const document = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>` +
+            '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/>' +
+            '</w:sectPr></w:body></w:document>';
+
+        const relationships = links.map((href, index) =>
+            `<Relationship Id="rLink${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" ` +
+            `Target="${DocxWriter.escape(href)}" TargetMode="External"/>`
+        ).join('');
+
+        return DocxWriter.zip([
+            ['[Content_Types].xml', DocxWriter.contentTypes()],
+            ['_rels/.rels', DocxWriter.packageRelationships()],
+            ['docProps/core.xml', DocxWriter.coreProperties(title)],
+            ['word/document.xml', document],
+            ['word/styles.xml', DocxWriter.styles()],
+            ['word/_rels/document.xml.rels',
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                `${relationships}</Relationships>`]
+        ]);
+    }
+
+    static writeBlock(block, links) {
+        switch (block.type) {
+            case 'heading':
+                return DocxWriter.paragraph(DocxWriter.writeInlines(block.inlines, links), `<w:pStyle w:val="Heading${Math.min(block.level, 3)}"/>`);
+
+            case 'list':
+                return block.items.map(item =>
+                    DocxWriter.paragraph(DocxWriter.run('•\t') + DocxWriter.writeInlines(item, links),
+                        '<w:pStyle w:val="ListParagraph"/>')
+                ).join('');
+
+            case 'rule':
+                return DocxWriter.paragraph('', '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="A0A0A0"/></w:pBdr>');
+
+            default:
+                return DocxWriter.paragraph(block.lines
+                    .map(line => DocxWriter.writeInlines(line, links))
+                    .join('<w:r><w:br/></w:r>'));
+        }
+    }
+
+    static writeInlines(inlines, links) {
+        return inlines.map(inline => {
+            const properties = (inline.bold ? '<w:b/>' : '') + (inline.italic ? '<w:i/>' : '');
+
+            if (!inline.href) {
+                return DocxWriter.run(inline.text, properties);
+            }
+
+            links.push(inline.href);
+            return `<w:hyperlink r:id="rLink${links.length}">` +
+                DocxWriter.run(inline.text, `${properties}<w:color w:val="1D4ED8"/><w:u w:val="single"/>`) +
+                '</w:hyperlink>';
+        }).join('');
+    }
+
+    static paragraph(content, properties = '') {
+        return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${content}</w:p>`;
+    }
+
+    static run(text, properties = '') {
+        const parts = text.split('\t').map(part => `<w:t xml:space="preserve">${DocxWriter.escape(part)}</w:t>`);
+        return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${parts.join('<w:tab/>')}</w:r>`;
+    }
+
+    static contentTypes() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+            '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+            '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+            '</Types>';
+    }
+
+    static packageRelationships() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rDocument" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+            '<Relationship Id="rCore" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+            '</Relationships>';
+    }
+
+    static coreProperties(title) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+            'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+            'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+            `<dc:title>${DocxWriter.escape(title)}</dc:title>` +
+            `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>` +
+            '</cp:coreProperties>';
+    }
+
+    static styles() {
+        const heading = (level, size) =>
+            `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/>` +
+            '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+            `<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>` +
+            `<w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr></w:style>`;
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+            '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/>' +
+            '<w:sz w:val="22"/></w:rPr></w:rPrDefault>' +
+            '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+            '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+            heading(1, 36) + heading(2, 28) + heading(3, 24) +
+            '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/>' +
+            '<w:pPr><w:spacing w:after="60"/><w:ind w:left="720" w:hanging="360"/></w:pPr></w:style>' +
+            '</w:styles>';
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+
+    // Zip archive with every file stored (method 0)
+    static zip(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        files.forEach(([name, content]) => {
+            const nameBytes = encoder.encode(name);
+            const data = encoder.encode(content);
+            const crc = DocxWriter.crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(8, 0, true);
+            local.setUint16(10, 0, true);
+            local.setUint16(12, 0x21, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, 0, true);
+            central.setUint16(14, 0x21, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+
+            parts.push(local, nameBytes, data);
+            centralDirectory.push(central, nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...centralDirectory, end], {
+            type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        });
+    }
+
+    static crc32(bytes) {
+        if (!DocxWriter.crcTable) {
+            DocxWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                DocxWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = DocxWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
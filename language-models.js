@@ -0,0 +1,198 @@
+// Text generation for features built on the transcript, such as summaries and chat.
+// Each language model reuses the credentials of a transcription provider
+// (providers.js), so no extra API key has to be configured.
+
+class LanguageModel {
+    constructor({ id, name, providerId, defaultModel = '' }) {
+        this.id = id;
+        this.name = name;
+        this.providerId = providerId;
+        this.defaultModel = defaultModel;
+    }
+
+    get provider() {
+        return providerRegistry.get(this.providerId);
+    }
+
+    getStorageKeys() {
+        return this.provider.getStorageKeys();
+    }
+
+    // The transcription provider's settings, with the model replaced by the language model
+    resolveConfig(storedSettings, model) {
+        return {
+            ...this.provider.resolveConfig(storedSettings),
+            model: model || this.defaultModel
+        };
+    }
+
+    validateConfig(config) {
+        this.provider.validateConfig(config);
+
+        if (!config.model) {
+            throw new Error(`No model configured for ${this.name}`);
+        }
+    }
+
+    // Returns the parsed JSON when a JSON schema is given, the text otherwise.
+    // history holds earlier turns of a conversation as [{ role: 'user' | 'assistant', text }]
+    async generate({ system, prompt, schema, history = [] }, config) {
+        throw new Error(`${this.name} does not implement generate()`);
+    }
+
+    // Models asked for JSON sometimes wrap it in a code fence or add a sentence around it
+    parseJson(text) {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+
+        if (start === -1 || end < start) {
+            throw new Error(`${this.name} did not return JSON`);
+        }
+
+        return JSON.parse(text.slice(start, end + 1));
+    }
+}
+
+class GeminiLanguageModel extends LanguageModel {
+    constructor() {
+        super({ id: 'gemini', name: 'Google Gemini', providerId: 'gemini', defaultModel: 'gemini-2.5-flash' });
+    }
+
+    async generate({ system, prompt, schema, history = [] }, config) {
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${config.model}:generateContent?key=${config.api_key}`;
+
+        const payload = {
+            contents: [
+                ...history.map(turn => ({ role: turn.role === 'assistant' ? 'model' : 'user', parts: [{ text: turn.text }] })),
+                { role: 'user', parts: [{ text: prompt }] }
+            ]
+        };
+
+        if (system) {
+            payload.systemInstruction = { parts: [{ text: system }] };
+        }
+        if (schema) {
+            payload.generationConfig = {
+                responseMimeType: 'application/json',
+                responseSchema: this.toGeminiSchema(schema)
+            };
+        }
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(payload)
+        });
+
+        await this.provider.checkResponse(response);
+        const result = await response.json();
+
+        if (!result.candidates || !result.candidates[0] || !result.candidates[0].content) {
+            throw new Error('Invalid response from Gemini API');
+        }
+
+        const text = result.candidates[0].content.parts.map(part => part.text || '').join('');
+        return schema ? this.parseJson(text) : text.trim();
+    }
+
+    // Gemini takes an OpenAPI-style schema with upper-case type names
+    toGeminiSchema(schema) {
+        const converted = { type: schema.type.toUpperCase() };
+
+        if (schema.properties) {
+            converted.properties = {};
+            Object.entries(schema.properties).forEach(([key, value]) => {
+                converted.properties[key] = this.toGeminiSchema(value);
+            });
+        }
+        if (schema.items) {
+            converted.items = this.toGeminiSchema(schema.items);
+        }
+        if (schema.required) {
+            converted.required = schema.required;
+        }
+
+        return converted;
+    }
+}
+
+// OpenAI's chat completions API, using the key configured for Whisper
+class OpenAILanguageModel extends LanguageModel {
+    constructor(options = { id: 'openai', name: 'OpenAI', providerId: 'whisper', defaultModel: 'gpt-4o-mini' }) {
+        super(options);
+    }
+
+    getEndpoint(config) {
+        return config.endpoint.replace(/\/audio\/transcriptions\/?$/, '/chat/completions');
+    }
+
+    getHeaders(config) {
+        return { 'Authorization': `Bearer ${config.api_key}` };
+    }
+
+    async generate({ system, prompt, schema, history = [] }, config) {
+        const messages = [];
+
+        // JSON mode needs the shape described in the prompt
+        const systemText = schema
+            ? `${system || ''}\nRespond with a single JSON object matching this JSON schema:\n${JSON.stringify(schema)}`.trim()
+            : system;
+
+        if (systemText) {
+            messages.push({ role: 'system', content: systemText });
+        }
+        history.forEach(turn => messages.push({ role: turn.role === 'assistant' ? 'assistant' : 'user', content: turn.text }));
+        messages.push({ role: 'user', content: prompt });
+
+        const body = { model: config.model, messages };
+        if (schema && this.supportsJsonMode) {
+            body.response_format = { type: 'json_object' };
+        }
+
+        const response = await fetch(this.getEndpoint(config), {
+            method: 'POST',
+            headers: { ...this.getHeaders(config), 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        await this.provider.checkResponse(response);
+        const result = await response.json();
+
+        if (!result.choices || !result.choices[0] || !result.choices[0].message) {
+            throw new Error(`Invalid response from ${this.name}`);
+        }
+
+        const text = result.choices[0].message.content || '';
+        return schema ? this.parseJson(text) : text.trim();
+    }
+
+    get supportsJsonMode() {
+        return true;
+    }
+}
+
+// The chat completions endpoint of the custom / self-hosted server, e.g. a local
+// llama.cpp or vLLM server
+class CustomLanguageModel extends OpenAILanguageModel {
+    constructor() {
+        super({ id: 'custom', name: 'Custom / self-hosted (OpenAI-compatible)', providerId: 'custom' });
+    }
+
+    getEndpoint(config) {
+        return this.provider.getEndpoint(config).replace(/\/audio\/transcriptions$/, '/chat/completions');
+    }
+
+    getHeaders(config) {
+        return config.auth_header_value ? { [config.auth_header_name]: config.auth_header_value } : {};
+    }
+
+    // Not every OpenAI-compatible server implements response_format
+    get supportsJsonMode() {
+        return false;
+    }
+}
+
+const languageModelRegistry = new ProviderRegistry();
+languageModelRegistry.register(new GeminiLanguageModel());
+languageModelRegistry.register(new OpenAILanguageModel());
+languageModelRegistry.register(new CustomLanguageModel());
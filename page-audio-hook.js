@@ -0,0 +1,147 @@
+// Runs in the page's own JavaScript world (see manifest.json) to notice audio that
+// does not come from an <audio> or <video> element: Web Audio graphs and WebRTC
+// calls. The content script cannot see these from its isolated world, so this
+// hook sends the state to it whenever it changes.
+//
+// The state goes through a MessageChannel handed to the content script once, at
+// document_start before any page script runs. Window messages could be posted by
+// the page itself, which could then fake playback to start a recording.
+
+(() => {
+    const PORT_EVENT = 'audio-transcription-hook-port';
+    const READY_EVENT = 'audio-transcription-content-ready';
+    // Output quieter than this counts as silence
+    const SILENCE_LEVEL = 0.001;
+
+    // AudioContext -> AnalyserNode listening to everything connected to its destination
+    const analysers = new Map();
+    const remoteTracks = new Set();
+    let lastState = null;
+
+    const channel = new MessageChannel();
+    let connected = false;
+
+    const nativeConnect = AudioNode.prototype.connect;
+    const nativeDisconnect = AudioNode.prototype.disconnect;
+
+    const getAnalyser = (context) => {
+        if (!analysers.has(context)) {
+            analysers.set(context, context.createAnalyser());
+            context.addEventListener('statechange', () => {
+                if (context.state === 'closed') analysers.delete(context);
+                report();
+            });
+        }
+        return analysers.get(context);
+    };
+
+    // Whatever a page sends to the speakers is also sent to an analyser, so the
+    // hook measures real output instead of guessing from a running context
+    AudioNode.prototype.connect = function (destination, ...rest) {
+        if (destination instanceof AudioDestinationNode && this.context instanceof AudioContext) {
+            try {
+                nativeConnect.call(this, getAnalyser(this.context));
+            } catch (error) {
+                // Never break the page's own audio graph
+            }
+        }
+        return nativeConnect.call(this, destination, ...rest);
+    };
+
+    AudioNode.prototype.disconnect = function (destination, ...rest) {
+        if (destination instanceof AudioDestinationNode && analysers.has(this.context)) {
+            try {
+                nativeDisconnect.call(this, analysers.get(this.context));
+            } catch (error) {
+                // Was not connected to the analyser
+            }
+        }
+        return nativeDisconnect.call(this, destination, ...rest);
+    };
+
+    // A Proxy keeps everything pages rely on: subclasses get their own instances
+    // through newTarget, and statics, prototype and instanceof stay the native ones
+    const NativePeerConnection = window.RTCPeerConnection || window.webkitRTCPeerConnection;
+    if (NativePeerConnection) {
+        const PeerConnection = new Proxy(NativePeerConnection, {
+            construct(target, args, newTarget) {
+                const connection = Reflect.construct(target, args, newTarget);
+
+                connection.addEventListener('track', (event) => {
+                    if (event.track.kind !== 'audio') return;
+
+                    remoteTracks.add(event.track);
+                    ['mute', 'unmute'].forEach(type => event.track.addEventListener(type, report));
+                    event.track.addEventListener('ended', () => {
+                        remoteTracks.delete(event.track);
+                        report();
+                    });
+                    report();
+                });
+
+                return connection;
+            }
+        });
+
+        // So that connection.constructor is still window.RTCPeerConnection
+        Object.defineProperty(NativePeerConnection.prototype, 'constructor', {
+            value: PeerConnection,
+            writable: true,
+            configurable: true
+        });
+
+        window.RTCPeerConnection = PeerConnection;
+        if (window.webkitRTCPeerConnection) {
+            window.webkitRTCPeerConnection = PeerConnection;
+        }
+    }
+
+    const isWebAudioPlaying = () => {
+        const samples = new Float32Array(256);
+
+        for (const [context, analyser] of analysers) {
+            if (context.state !== 'running') continue;
+
+            analyser.getFloatTimeDomainData(samples);
+            if (samples.some(sample => Math.abs(sample) > SILENCE_LEVEL)) return true;
+        }
+        return false;
+    };
+
+    // Remote tracks are muted while no media arrives for them
+    const isWebRtcPlaying = () => Array.from(remoteTracks).some(track =>
+        track.readyState === 'live' && track.enabled && !track.muted
+    );
+
+    function report() {
+        if (!connected) return;
+
+        const state = { webAudio: isWebAudioPlaying(), webRtc: isWebRtcPlaying() };
+        const key = `${state.webAudio}|${state.webRtc}`;
+        if (key === lastState) return;
+
+        lastState = key;
+        channel.port1.postMessage({ type: 'pageAudioState', ...state });
+    }
+
+    // Levels can only be measured by polling
+    setInterval(() => {
+        if (analysers.size > 0) report();
+    }, 1000);
+
+    // The content script cancels the event to take the port. Whichever of the two
+    // scripts runs second completes the handover: this one right away, or on the
+    // content script's ready event if that wasn't listening yet.
+    const connect = () => {
+        if (connected) return;
+
+        const event = new MessageEvent(PORT_EVENT, { ports: [channel.port2], cancelable: true });
+        connected = !window.dispatchEvent(event);
+        if (connected) {
+            window.removeEventListener(READY_EVENT, connect, true);
+            report();
+        }
+    };
+    window.addEventListener(READY_EVENT, connect, true);
+    connect();
+})();
@@ -0,0 +1,52 @@
+// AudioWorklet processor that forwards raw mono PCM from the capture graph
+// to the sidepanel. Samples are batched so the main thread is not flooded
+// with a message for every 128-frame render quantum.
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.batchSize = 4096;
+        this.batch = new Float32Array(this.batchSize);
+        this.batchLength = 0;
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'flush') {
+                this.flush();
+                this.port.postMessage({ type: 'flushed' });
+            }
+        };
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+
+        const frames = input[0].length;
+
+        for (let i = 0; i < frames; i++) {
+            // Down-mix all channels to mono
+            let sample = 0;
+            for (let channel = 0; channel < input.length; channel++) {
+                sample += input[channel][i];
+            }
+
+            this.batch[this.batchLength++] = sample / input.length;
+
+            if (this.batchLength === this.batchSize) {
+                this.flush();
+            }
+        }
+
+        return true;
+    }
+
+    flush() {
+        if (this.batchLength === 0) return;
+
+        const samples = this.batch.slice(0, this.batchLength);
+        this.port.postMessage({ type: 'samples', samples }, [samples.buffer]);
+        this.batchLength = 0;
+    }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
@@ -0,0 +1,634 @@
+// Speech-to-text provider registry
+// Each provider declares its id, display name, the settings it needs and the audio
+// formats it accepts, and normalizes its API response. The sidepanel builds the
+// settings form from these declarations; the background service worker uses them
+// to transcribe.
+
+// Languages that can be chosen for a session, as ISO 639-1 codes. Every provider
+// understands these codes; an empty language means the provider detects it.
+const TRANSCRIPTION_LANGUAGES = [
+    ['en', 'English'], ['de', 'German'], ['fr', 'French'], ['es', 'Spanish'], ['it', 'Italian'],
+    ['pt', 'Portuguese'], ['nl', 'Dutch'], ['pl', 'Polish'], ['sv', 'Swedish'], ['ru', 'Russian'],
+    ['uk', 'Ukrainian'], ['tr', 'Turkish'], ['ja', 'Japanese'], ['ko', 'Korean'], ['zh', 'Chinese'],
+    ['hi', 'Hindi'], ['ar', 'Arabic']
+];
+
+class TranscriptionProvider {
+    constructor({ id, name, settings = [], audioFormats = ['audio/wav'], streaming = false, diarization = false }) {
+        this.id = id;
+        this.name = name;
+        this.settings = settings;
+        this.audioFormats = audioFormats;
+        this.streaming = streaming;
+        this.diarization = diarization;
+    }
+
+    // Settings are stored in chrome.storage.sync as `${providerId}_${settingKey}`
+    storageKey(settingKey) {
+        return `${this.id}_${settingKey}`;
+    }
+
+    getStorageKeys() {
+        return this.settings.map(setting => this.storageKey(setting.key));
+    }
+
+    resolveConfig(storedSettings) {
+        const config = {};
+
+        this.settings.forEach(setting => {
+            const value = storedSettings[this.storageKey(setting.key)];
+            config[setting.key] = value !== undefined && value !== '' ? value : setting.default;
+        });
+
+        return config;
+    }
+
+    getMissingSettings(config) {
+        return this.settings.filter(setting => setting.required && !config[setting.key]);
+    }
+
+    validateConfig(config) {
+        const missing = this.getMissingSettings(config);
+
+        if (missing.length > 0) {
+            throw new Error(`${missing.map(setting => setting.label).join(', ')} not configured for ${this.name}`);
+        }
+    }
+
+    acceptsFormat(mimeType) {
+        return this.audioFormats.includes(mimeType);
+    }
+
+    // options.diarize asks providers that support it to split the text into speaker turns.
+    // options.language is the ISO 639-1 code of the spoken language, empty to detect it;
+    // options.vocabulary lists names and terms to spell as given.
+    async transcribe(audioData, mimeType, config, options = {}) {
+        const result = await this.request(audioData, mimeType, config, options);
+        return this.normalize(result, options);
+    }
+
+    async request(audioData, mimeType, config, options) {
+        throw new Error(`${this.name} does not implement request()`);
+    }
+
+    // Makes a real request with the stored settings. By default half a second of
+    // silence is transcribed, which exercises the endpoint, credentials and audio format.
+    async testConnection(config) {
+        const silence = WavEncoder.encode(new Float32Array(8000), 16000);
+        const audioData = this.arrayBufferToBase64(await silence.arrayBuffer());
+
+        await this.transcribe(audioData, 'audio/wav', config);
+    }
+
+    // Converts the raw API response to { text, confidence }. Providers that report word or
+    // segment timings add timings: [{ text, start, end }] in seconds from the start of the
+    // audio. With diarization it also returns segments: [{ speaker, text, start?, end? }] and
+    // speakerScope: 'chunk' when the speaker labels only apply to this request, 'session'
+    // when they are kept stable across chunks. Providers that detect the language add
+    // language as an ISO 639-1 code.
+    normalize(result, options) {
+        throw new Error(`${this.name} does not implement normalize()`);
+    }
+
+    // Providers report languages as codes ("de", "de-DE") or names ("german")
+    normalizeLanguage(language) {
+        if (!language) return null;
+
+        const value = String(language).trim().toLowerCase();
+        const known = TRANSCRIPTION_LANGUAGES.find(([code, name]) => code === value.split('-')[0] || name.toLowerCase() === value);
+        return known ? known[0] : value;
+    }
+
+    getLanguageName(code) {
+        const known = TRANSCRIPTION_LANGUAGES.find(([languageCode]) => languageCode === code);
+        return known ? known[1] : code;
+    }
+
+    // The vocabulary as a prompt for OpenAI-style APIs, which read the prompt as preceding
+    // text; it is cut to stay within the prompt limit of about 224 tokens
+    getVocabularyPrompt(vocabulary = []) {
+        let prompt = '';
+
+        for (const term of vocabulary) {
+            const next = prompt ? `${prompt}, ${term}` : term;
+            if (next.length > 600) break;
+            prompt = next;
+        }
+
+        return prompt;
+    }
+
+    // The language and vocabulary fields of OpenAI's /v1/audio/transcriptions contract
+    appendLanguageFields(formData, options = {}) {
+        if (options.language) {
+            formData.append('language', options.language);
+        }
+
+        const prompt = this.getVocabularyPrompt(options.vocabulary);
+        if (prompt) {
+            formData.append('prompt', prompt);
+        }
+    }
+
+    // Timings from an OpenAI-style verbose_json response
+    getSegmentTimings(result) {
+        return (result.segments || [])
+            .filter(segment => segment.text && segment.text.trim())
+            .map(segment => ({ text: segment.text.trim(), start: segment.start, end: segment.end }));
+    }
+
+    // fetch() only rejects when no response arrived, e.g. while offline. Such errors are
+    // marked so callers can keep the audio for later instead of counting a failed attempt.
+    async fetch(url, init) {
+        try {
+            return await fetch(url, init);
+        } catch (error) {
+            const networkError = new Error(`${this.name} could not be reached: ${error.message}`);
+            networkError.network = true;
+            throw networkError;
+        }
+    }
+
+    async checkResponse(response) {
+        if (!response.ok) {
+            const errorData = await response.text();
+            const error = new Error(`${this.name} API error: ${response.status} - ${errorData}`);
+            // 429 tells callers the provider is rate limiting
+            error.status = response.status;
+            throw error;
+        }
+    }
+
+    getFileExtension(mimeType) {
+        return mimeType === 'audio/wav' ? 'wav' : 'webm';
+    }
+
+    arrayBufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+
+        for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000));
+        }
+
+        return btoa(binary);
+    }
+
+    base64ToBlob(base64Data, contentType) {
+        const byteCharacters = atob(base64Data);
+        const byteArrays = [];
+
+        for (let offset = 0; offset < byteCharacters.length; offset += 512) {
+            const slice = byteCharacters.slice(offset, offset + 512);
+            const byteNumbers = new Array(slice.length);
+
+            for (let i = 0; i < slice.length; i++) {
+                byteNumbers[i] = slice.charCodeAt(i);
+            }
+
+            const byteArray = new Uint8Array(byteNumbers);
+            byteArrays.push(byteArray);
+        }
+
+        return new Blob(byteArrays, { type: contentType });
+    }
+}
+
+class GeminiProvider extends TranscriptionProvider {
+    constructor() {
+        super({
+            id: 'gemini',
+            name: 'Google Gemini',
+            settings: [
+                { key: 'api_key', label: 'API Key', type: 'password', required: true },
+                { key: 'model', label: 'Model', type: 'text', default: 'gemini-2.5-flash' }
+            ],
+            audioFormats: ['audio/wav', 'audio/webm'],
+            diarization: true
+        });
+    }
+
+    async request(audioData, mimeType, config, options = {}) {
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${config.model}:generateContent?key=${config.api_key}`;
+
+        const payload = {
+            contents: [{
+                parts: [
+                    {
+                        text: (options.diarize
+                            ? this.getDiarizationPrompt(options.speakerContext)
+                            : "Please transcribe the following audio file. Return only the transcribed text without any additional commentary or formatting.") +
+                            this.getLanguagePrompt(options)
+                    },
+                    {
+                        inline_data: {
+                            mime_type: mimeType,
+                            data: audioData
+                        }
+                    }
+                ]
+            }]
+        };
+
+        const responseSchema = this.getResponseSchema(options);
+        if (responseSchema) {
+            payload.generationConfig = {
+                responseMimeType: 'application/json',
+                responseSchema
+            };
+        }
+
+        const response = await this.fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+
+        await this.checkResponse(response);
+        return await response.json();
+    }
+
+    async testConnection(config) {
+        // Looking the model up checks the key and model name without sending audio
+        const url = `https://generativelanguage.googleapis.com/v1beta/models/${config.model}?key=${config.api_key}`;
+        await this.checkResponse(await this.fetch(url));
+    }
+
+    // Structured output: one object per speaker turn, and the detected language when
+    // no language was chosen. Plain text otherwise.
+    getResponseSchema(options = {}) {
+        const turns = {
+            type: 'ARRAY',
+            items: {
+                type: 'OBJECT',
+                properties: {
+                    speaker: { type: 'STRING' },
+                    text: { type: 'STRING' }
+                },
+                required: ['speaker', 'text']
+            }
+        };
+
+        if (options.language) {
+            return options.diarize ? turns : null;
+        }
+
+        return {
+            type: 'OBJECT',
+            properties: options.diarize
+                ? { language: { type: 'STRING' }, turns }
+                : { language: { type: 'STRING' }, text: { type: 'STRING' } },
+            required: options.diarize ? ['language', 'turns'] : ['language', 'text']
+        };
+    }
+
+    getLanguagePrompt(options = {}) {
+        let prompt = options.language
+            ? ` The audio is in ${this.getLanguageName(options.language)}; transcribe it in that language.`
+            : ' Transcribe in the language that is spoken, without translating, and give the ISO 639-1 code of the main spoken language as language.';
+
+        if (options.vocabulary && options.vocabulary.length > 0) {
+            prompt += ` These names and terms may occur; spell them exactly like this: ${options.vocabulary.join(', ')}.`;
+        }
+
+        return prompt;
+    }
+
+    getDiarizationPrompt(speakerContext = {}) {
+        let prompt = 'Please transcribe the following audio file and split it into speaker turns. ' +
+            'Label speakers "Speaker 1", "Speaker 2" and so on, in order of first appearance. ' +
+            'Return only the turns, without any additional commentary.';
+
+        // The audio is one chunk of a longer recording; keep labels consistent with earlier chunks
+        if (speakerContext.labels && speakerContext.labels.length > 0) {
+            prompt += ` This audio continues an earlier recording in which these speakers were already identified: ${speakerContext.labels.join(', ')}. Reuse the same label when the same voice speaks.`;
+        }
+        if (speakerContext.lastLabel) {
+            prompt += ` The previous audio ended with ${speakerContext.lastLabel} saying: "${speakerContext.lastText}"`;
+        }
+
+        return prompt;
+    }
+
+    normalize(result, options = {}) {
+        if (!result.candidates || !result.candidates[0] || !result.candidates[0].content) {
+            throw new Error('Invalid response from Gemini API');
+        }
+
+        // A candidate stopped early, e.g. by a safety filter, comes without parts
+        const candidate = result.candidates[0];
+        if (!candidate.content.parts || !candidate.content.parts[0]) {
+            throw new Error(`Gemini API returned no text (finish reason: ${candidate.finishReason || 'unknown'})`);
+        }
+
+        const text = candidate.content.parts[0].text;
+        if (!this.getResponseSchema(options)) {
+            return { text, confidence: null };
+        }
+
+        try {
+            const parsed = JSON.parse(text);
+            const language = options.language ? null : this.normalizeLanguage(parsed.language);
+
+            if (!options.diarize) {
+                return { text: String(parsed.text || '').trim(), confidence: null, language };
+            }
+
+            const segments = (options.language ? parsed : parsed.turns)
+                .filter(turn => turn.text && turn.text.trim())
+                .map(turn => ({ speaker: turn.speaker, text: turn.text.trim() }));
+
+            return {
+                text: segments.map(segment => segment.text).join(' '),
+                confidence: null,
+                segments,
+                speakerScope: 'session',
+                language
+            };
+        } catch (error) {
+            console.warn('Gemini returned unstructured output:', error);
+        }
+
+        return {
+            text,
+            confidence: null
+        };
+    }
+}
+
+class WhisperProvider extends TranscriptionProvider {
+    constructor() {
+        super({
+            id: 'whisper',
+            name: 'OpenAI Whisper',
+            settings: [
+                { key: 'api_key', label: 'API Key', type: 'password', required: true },
+                { key: 'model', label: 'Model', type: 'text', default: 'whisper-1' },
+                { key: 'endpoint', label: 'Endpoint', type: 'url', default: 'https://api.openai.com/v1/audio/transcriptions' }
+            ],
+            audioFormats: ['audio/wav', 'audio/webm']
+        });
+    }
+
+    async request(audioData, mimeType, config, options = {}) {
+        // Convert base64 to blob for OpenAI API
+        const audioBlob = this.base64ToBlob(audioData, mimeType);
+
+        const formData = new FormData();
+        formData.append('file', audioBlob, `audio.${this.getFileExtension(mimeType)}`);
+        formData.append('model', config.model);
+        // Only the whisper models return segment timings and the detected language; the
+        // newer transcribe models accept json only
+        formData.append('response_format', config.model.startsWith('whisper') ? 'verbose_json' : 'json');
+        this.appendLanguageFields(formData, options);
+
+        const response = await this.fetch(config.endpoint, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${config.api_key}`
+            },
+            body: formData
+        });
+
+        await this.checkResponse(response);
+        return await response.json();
+    }
+
+    normalize(result, options = {}) {
+        return {
+            text: result.text,
+            confidence: null,
+            timings: this.getSegmentTimings(result),
+            language: options.language ? null : this.normalizeLanguage(result.language)
+        };
+    }
+}
+
+class DeepgramProvider extends TranscriptionProvider {
+    constructor() {
+        super({
+            id: 'deepgram',
+            name: 'Deepgram',
+            settings: [
+                { key: 'api_key', label: 'API Key', type: 'password', required: true },
+                { key: 'model', label: 'Model', type: 'text', default: 'nova-2' },
+                { key: 'smart_format', label: 'Smart Formatting', type: 'checkbox', default: true }
+            ],
+            audioFormats: ['audio/wav', 'audio/webm'],
+            streaming: true,
+            diarization: true
+        });
+    }
+
+    // Live WebSocket endpoint for raw 16-bit mono PCM. Browsers cannot set headers on
+    // WebSockets, so the key is passed as a subprotocol.
+    getStreamingConnection(config, sampleRate, options = {}) {
+        const params = new URLSearchParams({
+            model: config.model,
+            smart_format: String(!!config.smart_format),
+            encoding: 'linear16',
+            sample_rate: String(sampleRate),
+            channels: '1',
+            interim_results: 'true'
+        });
+
+        // Live speaker ids stay stable for the lifetime of the connection
+        if (options.diarize) {
+            params.set('diarize', 'true');
+        }
+
+        // Live streams cannot detect the language; without one Deepgram expects English
+        if (options.language) {
+            params.set('language', options.language);
+        }
+        this.appendVocabulary(params, config, options.vocabulary);
+
+        return {
+            url: `wss://api.deepgram.com/v1/listen?${params}`,
+            protocols: ['token', config.api_key]
+        };
+    }
+
+    // Nova-3 models take key terms; older models take keywords with a boost
+    appendVocabulary(params, config, vocabulary = []) {
+        vocabulary.forEach(term => {
+            if (config.model.startsWith('nova-3')) {
+                params.append('keyterm', term);
+            } else {
+                params.append('keywords', `${term}:2`);
+            }
+        });
+    }
+
+    async request(audioData, mimeType, config, options = {}) {
+        const audioBlob = this.base64ToBlob(audioData, mimeType);
+        const params = new URLSearchParams({
+            model: config.model,
+            smart_format: String(!!config.smart_format)
+        });
+
+        if (options.diarize) {
+            params.set('diarize', 'true');
+            params.set('utterances', 'true');
+        }
+
+        if (options.language) {
+            params.set('language', options.language);
+        } else {
+            params.set('detect_language', 'true');
+        }
+        this.appendVocabulary(params, config, options.vocabulary);
+
+        const response = await this.fetch(`https://api.deepgram.com/v1/listen?${params}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Token ${config.api_key}`,
+                'Content-Type': mimeType
+            },
+            body: audioBlob
+        });
+
+        await this.checkResponse(response);
+        return await response.json();
+    }
+
+    normalize(result, options = {}) {
+        if (!result.results || !result.results.channels || !result.results.channels[0]) {
+            throw new Error('Invalid response from Deepgram API');
+        }
+
+        const channel = result.results.channels[0];
+        const alternative = channel.alternatives[0];
+        const normalized = {
+            text: alternative.transcript,
+            confidence: alternative.confidence,
+            timings: (alternative.words || []).map(word => ({
+                text: word.punctuated_word || word.word,
+                start: word.start,
+                end: word.end
+            })),
+            language: options.language ? null : this.normalizeLanguage(channel.detected_language)
+        };
+
+        // Deepgram numbers speakers from 0 in every request
+        if (options.diarize && result.results.utterances) {
+            normalized.segments = result.results.utterances.map(utterance => ({
+                speaker: `Speaker ${utterance.speaker + 1}`,
+                text: utterance.transcript,
+                start: utterance.start,
+                end: utterance.end
+            }));
+            normalized.speakerScope = 'chunk';
+        }
+
+        return normalized;
+    }
+}
+
+// Any server implementing OpenAI's /v1/audio/transcriptions contract, such as a
+// self-hosted faster-whisper or whisper.cpp server
+class CustomWhisperProvider extends TranscriptionProvider {
+    constructor() {
+        super({
+            id: 'custom',
+            name: 'Custom / self-hosted (OpenAI-compatible)',
+            settings: [
+                { key: 'base_url', label: 'Base URL', type: 'url', required: true, placeholder: 'http://localhost:8000' },
+                { key: 'auth_header_name', label: 'Auth Header', type: 'text', default: 'Authorization' },
+                { key: 'auth_header_value', label: 'Auth Value', type: 'password', placeholder: 'Optional, e.g. Bearer <token>' },
+                { key: 'model', label: 'Model', type: 'text', default: 'whisper-1' },
+                {
+                    key: 'response_format',
+                    label: 'Response Format',
+                    type: 'select',
+                    default: 'json',
+                    options: [['json', 'JSON'], ['verbose_json', 'Verbose JSON'], ['text', 'Plain text']]
+                }
+            ],
+            audioFormats: ['audio/wav', 'audio/webm']
+        });
+    }
+
+    getEndpoint(config) {
+        const baseUrl = config.base_url.replace(/\/+$/, '');
+        return baseUrl.endsWith('/v1') ? `${baseUrl}/audio/transcriptions` : `${baseUrl}/v1/audio/transcriptions`;
+    }
+
+    async request(audioData, mimeType, config, options = {}) {
+        const audioBlob = this.base64ToBlob(audioData, mimeType);
+
+        const formData = new FormData();
+        formData.append('file', audioBlob, `audio.${this.getFileExtension(mimeType)}`);
+        formData.append('model', config.model);
+        formData.append('response_format', config.response_format);
+        this.appendLanguageFields(formData, options);
+
+        const headers = {};
+        if (config.auth_header_value) {
+            headers[config.auth_header_name] = config.auth_header_value;
+        }
+
+        const response = await this.fetch(this.getEndpoint(config), {
+            method: 'POST',
+            headers,
+            body: formData
+        });
+
+        await this.checkResponse(response);
+
+        if (config.response_format === 'text') {
+            return { text: await response.text() };
+        }
+        return await response.json();
+    }
+
+    normalize(result, options = {}) {
+        if (typeof result.text !== 'string') {
+            throw new Error('Invalid response from custom transcription server');
+        }
+
+        return {
+            text: result.text.trim(),
+            confidence: null,
+            timings: this.getSegmentTimings(result),
+            language: options.language ? null : this.normalizeLanguage(result.language)
+        };
+    }
+}
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    register(provider) {
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    has(id) {
+        return this.providers.has(id);
+    }
+
+    get(id) {
+        const provider = this.providers.get(id);
+
+        if (!provider) {
+            throw new Error(`Unsupported API provider: ${id}`);
+        }
+
+        return provider;
+    }
+
+    list() {
+        return Array.from(this.providers.values());
+    }
+}
+
+const providerRegistry = new ProviderRegistry();
+providerRegistry.register(new GeminiProvider());
+providerRegistry.register(new WhisperProvider());
+providerRegistry.register(new DeepgramProvider());
+providerRegistry.register(new CustomWhisperProvider());
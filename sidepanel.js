@@ -5,14 +5,40 @@ class AudioTranscriptionPanel {
         this.startTime = null;
         this.sessionData = [];
         this.timerInterval = null;
-        this.audioContext = null;
-        this.mediaRecorder = null;
-        this.audioChunks = [];
-        this.chunkBuffer = [];
-        this.lastOverlapBuffer = null;
-        this.currentStream = null;
-        this.tabStream = null;
+        this.audioCaptures = [];
+        // Picks the chunk length when the chunk size adapts to the provider
+        this.chunkCadence = null;
+        this.streams = [];
+        this.channels = [];
+        this.sampleRate = 16000;
+        this.captureStartTime = null;
         this.currentSourceLabel = 'Audio';
+        this.currentSession = null;
+        this.store = new TranscriptionDatabase();
+        this.merger = new TranscriptMerger();
+        this.exporter = new TranscriptExporter();
+        this.search = new TranscriptSearch();
+        this.editor = new TranscriptEditor();
+        this.isTranslating = false;
+        this.translationQueued = false;
+        // Questions and answers about the session shown, as [{ role, text, citations }]
+        this.chat = [];
+        this.liveSummary = { points: [], coveredIds: new Set(), pendingResults: 0, isUpdating: false, retryTimer: null };
+        // The tab whose audio is being recorded, if any
+        this.recordingTabId = null;
+        // Where the recorded tab's media was at the start of the latest chunk, as { url, time, rate, offset }
+        this.lastMediaPosition = null;
+        // Recording driven by media playback: whether the pause came from the tab, and the idle timeout
+        this.autoRecord = { isStarting: false, pausedByMedia: false, idleTimer: null };
+        this.siteRules = new SiteRules();
+        // The rule applied to the tab the panel opened on or the recording started from
+        this.activeRule = null;
+        // Control id -> the user's own value while a rule overrides it; saved instead of the rule's
+        this.ruleDefaults = {};
+        this.searchMatches = [];
+        this.currentMatch = -1;
+        this.speakerTracker = null;
+        this.bufferedChunkCount = 0;
         
         this.init();
     }
@@ -20,11 +46,20 @@ class AudioTranscriptionPanel {
     async init() {
         this.bindEvents();
         await this.loadSettings();
+        await this.applySiteRule();
         this.updateConnectionStatus();
-        this.setupPeriodicTranscription();
+        this.updateBufferStatus();
+        await this.refreshHistory();
+        await this.loadRetryQueue();
     }
 
     bindEvents() {
+        // Changing a control a site rule set makes the choice the user's own. Bound
+        // first so the settings saved by the listeners below already include it.
+        ['sourceSelect', 'apiSelect', 'languageSelect', 'chunkSize'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => delete this.ruleDefaults[id]);
+        });
+
         // Main controls
         document.getElementById('startRecording').addEventListener('click', () => this.startRecording());
         document.getElementById('stopRecording').addEventListener('click', () => this.stopRecording());
@@ -32,24 +67,163 @@ class AudioTranscriptionPanel {
 
         // Export controls
         document.getElementById('copyTranscript').addEventListener('click', () => this.copyToClipboard());
-        document.getElementById('downloadTxt').addEventListener('click', () => this.downloadTranscript('txt'));
-        document.getElementById('downloadJson').addEventListener('click', () => this.downloadTranscript('json'));
+        document.getElementById('downloadTranscript').addEventListener('click', () => this.downloadTranscript());
+        document.getElementById('exportFormat').addEventListener('change', () => this.saveSettings());
+
+        // Search and filters
+        document.getElementById('transcriptSearch').addEventListener('input', (event) => {
+            this.search.setQuery(event.target.value);
+            this.renderTranscript();
+        });
+        document.getElementById('transcriptSearch').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.moveToMatch(event.shiftKey ? -1 : 1);
+            }
+        });
+        document.getElementById('searchPrevious').addEventListener('click', () => this.moveToMatch(-1));
+        document.getElementById('searchNext').addEventListener('click', () => this.moveToMatch(1));
+        document.getElementById('filterLabel').addEventListener('change', (event) => {
+            this.search.setLabel(event.target.value);
+            this.renderTranscript();
+        });
+        ['filterFrom', 'filterTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.search.setRange(document.getElementById('filterFrom').value, document.getElementById('filterTo').value);
+                this.renderTranscript();
+            });
+        });
+
+        // Speaker renaming
+        document.getElementById('transcriptionDisplay').addEventListener('click', (event) => {
+            const speaker = event.target.closest('.transcript-speaker');
+            if (speaker) {
+                this.startSpeakerRename(speaker);
+            }
+        });
+
+        // Media timestamps
+        document.getElementById('transcriptionDisplay').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-media-seek]');
+            if (button) {
+                this.seekToEntry(button.closest('.transcript-entry').dataset.entryId);
+            }
+        });
+
+        // Entry corrections
+        document.getElementById('transcriptionDisplay').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-entry-action]');
+            if (button) {
+                this.handleEntryAction(button);
+            }
+        });
+        document.getElementById('transcriptionDisplay').addEventListener('dblclick', (event) => {
+            const text = event.target.closest('.transcript-entry:not(.interim) .transcript-text');
+            if (text) {
+                this.startEntryEdit(text.closest('.transcript-entry'));
+            }
+        });
+
+        // Session history
+        document.getElementById('historyList').addEventListener('click', (event) => this.handleHistoryAction(event));
+
+        // Retry queue
+        document.getElementById('retryQueueList').addEventListener('click', (event) => this.handleRetryAction(event));
 
         // Settings
-        document.getElementById('saveApiKey').addEventListener('click', () => this.saveApiKey());
-        document.getElementById('apiSelect').addEventListener('change', () => this.saveSettings());
-        document.getElementById('chunkSize').addEventListener('change', () => this.saveSettings());
-        document.getElementById('overlapSize').addEventListener('change', () => this.saveSettings());
+        document.getElementById('saveProviderSettings').addEventListener('click', () => this.saveProviderSettings());
+        document.getElementById('testConnection').addEventListener('click', () => this.testConnection());
+        document.getElementById('llmProvider').addEventListener('change', () => {
+            this.updateLlmModelPlaceholder();
+            this.saveSettings();
+        });
+        document.getElementById('llmModel').addEventListener('change', () => this.saveSettings());
+        document.getElementById('summarizeSession').addEventListener('click', () => this.summarizeSession());
+        document.getElementById('chatAsk').addEventListener('click', () => this.askQuestion());
+        document.getElementById('chatQuestion').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.askQuestion();
+            }
+        });
+        document.getElementById('chatMessages').addEventListener('click', (event) => {
+            const citation = event.target.closest('.chat-citation');
+            if (citation) {
+                this.scrollToEntry(citation.dataset.entryId);
+            }
+        });
+        document.getElementById('liveSummary').addEventListener('change', () => {
+            this.saveSettings();
+            this.updateLiveSummaryPane();
+            this.updateLiveSummary();
+        });
+        document.getElementById('liveSummaryEvery').addEventListener('change', () => this.saveSettings());
+        document.getElementById('translationLanguage').addEventListener('change', () => {
+            this.saveSettings();
+            this.updateTranslationView();
+            this.translatePending();
+        });
+        document.getElementById('translationView').addEventListener('change', () => {
+            this.saveSettings();
+            this.updateTranslationView();
+        });
+
+        document.getElementById('apiSelect').addEventListener('change', async () => {
+            await this.saveSettings();
+            await this.renderProviderSettings();
+            this.updateConnectionStatus();
+        });
+        document.getElementById('transcriptionMode').addEventListener('change', () => this.saveSettings());
+        ['chunkSize', 'adaptiveChunks', 'overlapSize', 'vad', 'minChunkSize'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.saveSettings();
+                this.applyChunkSettings();
+            });
+        });
+        document.getElementById('diarization').addEventListener('change', () => this.saveSettings());
+        document.getElementById('autoRecord').addEventListener('change', () => this.saveSettings());
+        document.getElementById('autoStopMinutes').addEventListener('change', () => this.saveSettings());
+        ['captionOverlay', 'captionFontSize', 'captionOpacity', 'captionLines'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.saveSettings();
+                this.updateCaptionOverlay();
+            });
+        });
+        document.getElementById('languageSelect').addEventListener('change', () => this.saveSettings());
+        document.getElementById('vocabulary').addEventListener('change', () => this.saveSettings());
+        document.getElementById('exportOriginals').addEventListener('change', () => this.saveSettings());
+        document.getElementById('exportTemplate').addEventListener('change', () => this.saveSettings());
+        document.getElementById('resetExportTemplate').addEventListener('click', () => {
+            document.getElementById('exportTemplate').value = DEFAULT_EXPORT_TEMPLATE;
+            this.saveSettings();
+        });
         document.getElementById('showTimestamps').addEventListener('change', () => this.saveSettings());
         document.getElementById('autoScroll').addEventListener('change', () => this.saveSettings());
 
+        // Site rules
+        document.getElementById('addSiteRule').addEventListener('click', () => this.addSiteRule(''));
+        document.getElementById('addSiteRuleForTab').addEventListener('click', async () => {
+            const tab = await this.getCurrentTab();
+            this.addSiteRule(tab ? SiteRules.getSitePattern(await this.getTabUrl(tab)) : '');
+        });
+
         // Error notification
         document.querySelector('.error-close').addEventListener('click', () => this.hideError());
 
+        // Connectivity
+        window.addEventListener('online', () => this.handleConnectivityChange(true));
+        window.addEventListener('offline', () => this.handleConnectivityChange(false));
+
         // Listen for messages from background script
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             if (message.type === 'transcriptionResult') {
-                this.addTranscriptionEntry(message.data);
+                // The background keeps retried chunks until their result is stored
+                this.handleTranscriptionResult(message.data).then(stored => sendResponse({ success: true, stored }));
+                return true;
+            } else if (message.type === 'retryQueueUpdated') {
+                this.renderRetryQueue(message.items);
+            } else if (message.type === 'mediaStateChanged') {
+                this.handleMediaState(message);
             } else if (message.type === 'error') {
                 this.showError(message.message);
             }
@@ -59,48 +233,251 @@ class AudioTranscriptionPanel {
     async loadSettings() {
         const settings = await chrome.storage.sync.get({
             apiProvider: 'gemini',
+            transcriptionMode: 'batch',
             chunkSize: 30,
             overlapSize: 3,
+            adaptiveChunks: false,
+            vad: true,
+            minChunkSize: 10,
+            autoRecord: false,
+            autoStopMinutes: 2,
+            captionOverlay: false,
+            captionFontSize: 24,
+            captionOpacity: 60,
+            captionLines: 2,
+            diarization: false,
+            language: '',
+            vocabulary: '',
             showTimestamps: true,
-            autoScroll: true
+            autoScroll: true,
+            exportFormat: 'txt',
+            // Only read to move it to local storage, see loadExportTemplate
+            exportTemplate: '',
+            exportOriginals: false,
+            llmProvider: 'gemini',
+            llmModel: '',
+            liveSummary: false,
+            liveSummaryEvery: 3,
+            translationLanguage: '',
+            translationView: 'both',
+            siteRules: []
+        });
+
+        const apiSelect = document.getElementById('apiSelect');
+        providerRegistry.list().forEach(provider => {
+            const option = document.createElement('option');
+            option.value = provider.id;
+            option.textContent = provider.name;
+            apiSelect.appendChild(option);
+        });
+
+        // Fall back to the default if the stored provider is no longer available
+        apiSelect.value = providerRegistry.has(settings.apiProvider) ? settings.apiProvider : 'gemini';
+        await this.renderProviderSettings();
+
+        const llmSelect = document.getElementById('llmProvider');
+        languageModelRegistry.list().forEach(model => {
+            llmSelect.appendChild(new Option(model.name, model.id));
         });
+        llmSelect.value = languageModelRegistry.has(settings.llmProvider) ? settings.llmProvider : 'gemini';
+        document.getElementById('llmModel').value = settings.llmModel;
+        this.updateLlmModelPlaceholder();
 
-        document.getElementById('apiSelect').value = settings.apiProvider;
+        document.getElementById('transcriptionMode').value = settings.transcriptionMode;
         document.getElementById('chunkSize').value = settings.chunkSize;
         document.getElementById('overlapSize').value = settings.overlapSize;
+        document.getElementById('adaptiveChunks').checked = settings.adaptiveChunks;
+        document.getElementById('vad').checked = settings.vad;
+        document.getElementById('minChunkSize').value = settings.minChunkSize;
+        document.getElementById('autoRecord').checked = settings.autoRecord;
+        document.getElementById('autoStopMinutes').value = settings.autoStopMinutes;
+        document.getElementById('captionOverlay').checked = settings.captionOverlay;
+        document.getElementById('captionFontSize').value = settings.captionFontSize;
+        document.getElementById('captionOpacity').value = settings.captionOpacity;
+        document.getElementById('captionLines').value = settings.captionLines;
+        document.getElementById('diarization').checked = settings.diarization;
+        document.getElementById('vocabulary').value = settings.vocabulary;
+
+        const languageSelect = document.getElementById('languageSelect');
+        TRANSCRIPTION_LANGUAGES.forEach(([code, name]) => languageSelect.add(new Option(name, code)));
+        languageSelect.value = settings.language;
+        document.getElementById('liveSummary').checked = settings.liveSummary;
+        document.getElementById('liveSummaryEvery').value = settings.liveSummaryEvery;
+        document.getElementById('translationLanguage').value = settings.translationLanguage;
+        document.getElementById('translationView').value = settings.translationView;
+        this.updateTranslationView();
         document.getElementById('showTimestamps').checked = settings.showTimestamps;
         document.getElementById('autoScroll').checked = settings.autoScroll;
+        document.getElementById('exportFormat').value = settings.exportFormat;
+        document.getElementById('exportOriginals').checked = settings.exportOriginals;
+        document.getElementById('exportTemplate').value = (await this.loadExportTemplate(settings.exportTemplate)) || DEFAULT_EXPORT_TEMPLATE;
+
+        this.siteRules.rules = settings.siteRules;
+        this.renderSiteRules();
     }
 
     async saveSettings() {
         const settings = {
-            apiProvider: document.getElementById('apiSelect').value,
-            chunkSize: parseInt(document.getElementById('chunkSize').value),
+            apiProvider: this.getDefaultValue('apiSelect'),
+            transcriptionMode: document.getElementById('transcriptionMode').value,
+            chunkSize: parseInt(this.getDefaultValue('chunkSize')),
             overlapSize: parseInt(document.getElementById('overlapSize').value),
+            adaptiveChunks: document.getElementById('adaptiveChunks').checked,
+            vad: document.getElementById('vad').checked,
+            minChunkSize: parseInt(document.getElementById('minChunkSize').value) || 10,
+            autoRecord: document.getElementById('autoRecord').checked,
+            autoStopMinutes: parseInt(document.getElementById('autoStopMinutes').value) || 2,
+            captionOverlay: document.getElementById('captionOverlay').checked,
+            captionFontSize: parseInt(document.getElementById('captionFontSize').value) || 24,
+            captionOpacity: this.getCaptionOpacity(),
+            captionLines: parseInt(document.getElementById('captionLines').value) || 2,
+            diarization: document.getElementById('diarization').checked,
+            language: this.getDefaultValue('languageSelect'),
+            vocabulary: document.getElementById('vocabulary').value,
+            liveSummary: document.getElementById('liveSummary').checked,
+            liveSummaryEvery: parseInt(document.getElementById('liveSummaryEvery').value) || 3,
+            translationLanguage: document.getElementById('translationLanguage').value,
+            translationView: document.getElementById('translationView').value,
             showTimestamps: document.getElementById('showTimestamps').checked,
-            autoScroll: document.getElementById('autoScroll').checked
+            autoScroll: document.getElementById('autoScroll').checked,
+            exportFormat: document.getElementById('exportFormat').value,
+            exportOriginals: document.getElementById('exportOriginals').checked,
+            llmProvider: document.getElementById('llmProvider').value,
+            llmModel: document.getElementById('llmModel').value.trim()
         };
 
-        await chrome.storage.sync.set(settings);
+        try {
+            await chrome.storage.sync.set(settings);
+            await chrome.storage.local.set({ exportTemplate: this.getExportTemplate() });
+        } catch (error) {
+            this.showError('Failed to save settings: ' + error.message);
+        }
     }
 
-    async saveApiKey() {
-        const apiKey = document.getElementById('apiKey').value;
-        const apiProvider = document.getElementById('apiSelect').value;
-        
-        if (!apiKey.trim()) {
-            this.showError('Please enter an API key');
+    // The template can outgrow the 8 KB sync allows per item, so it is kept in local
+    // storage. Earlier versions synced it; syncedTemplate is that value, moved over once.
+    async loadExportTemplate(syncedTemplate) {
+        const { exportTemplate } = await chrome.storage.local.get({ exportTemplate: null });
+        if (exportTemplate !== null) return exportTemplate;
+
+        if (syncedTemplate) {
+            await chrome.storage.local.set({ exportTemplate: syncedTemplate });
+            await chrome.storage.sync.remove('exportTemplate');
+        }
+        return syncedTemplate;
+    }
+
+    getSelectedProvider() {
+        return providerRegistry.get(document.getElementById('apiSelect').value);
+    }
+
+    async renderProviderSettings() {
+        const provider = this.getSelectedProvider();
+        const storedSettings = await chrome.storage.sync.get(provider.getStorageKeys());
+        const container = document.getElementById('providerSettings');
+
+        container.innerHTML = '';
+
+        provider.settings.forEach(setting => {
+            const group = document.createElement('div');
+            group.className = 'setting-group';
+
+            const inputId = `providerSetting-${setting.key}`;
+            const storedValue = storedSettings[provider.storageKey(setting.key)];
+            const label = document.createElement('label');
+            let input;
+
+            if (setting.type === 'checkbox') {
+                input = document.createElement('input');
+                input.type = 'checkbox';
+                input.checked = storedValue !== undefined ? storedValue : !!setting.default;
+
+                label.appendChild(input);
+                label.append(` ${setting.label}`);
+            } else {
+                if (setting.type === 'select') {
+                    input = document.createElement('select');
+                    input.className = 'setting-select';
+                    setting.options.forEach(([value, text]) => {
+                        const option = document.createElement('option');
+                        option.value = value;
+                        option.textContent = text;
+                        input.appendChild(option);
+                    });
+                    input.value = storedValue || setting.default;
+                } else {
+                    input = document.createElement('input');
+                    input.type = setting.type;
+                    input.className = 'setting-input';
+
+                    // Secrets are never echoed back into the form
+                    if (setting.type === 'password') {
+                        input.placeholder = storedValue
+                            ? 'Saved - enter a new value to replace'
+                            : setting.placeholder || `Enter your ${setting.label}`;
+                    } else {
+                        input.value = storedValue || '';
+                        input.placeholder = setting.default || setting.placeholder || '';
+                    }
+                }
+
+                label.htmlFor = inputId;
+                label.textContent = `${setting.label}:`;
+                group.appendChild(label);
+            }
+
+            input.id = inputId;
+            group.appendChild(setting.type === 'checkbox' ? label : input);
+            container.appendChild(group);
+        });
+    }
+
+    updateLlmModelPlaceholder() {
+        const model = languageModelRegistry.get(document.getElementById('llmProvider').value);
+        document.getElementById('llmModel').placeholder = model.defaultModel || 'Model name';
+    }
+
+    async saveProviderSettings() {
+        const provider = this.getSelectedProvider();
+        const storedSettings = await chrome.storage.sync.get(provider.getStorageKeys());
+        const updates = {};
+        const removals = [];
+
+        provider.settings.forEach(setting => {
+            const key = provider.storageKey(setting.key);
+            const input = document.getElementById(`providerSetting-${setting.key}`);
+
+            if (setting.type === 'checkbox') {
+                updates[key] = input.checked;
+            } else if (input.value.trim()) {
+                updates[key] = input.value.trim();
+            } else if (setting.type !== 'password') {
+                // An empty field falls back to the provider default
+                removals.push(key);
+            }
+        });
+
+        const config = provider.resolveConfig({ ...storedSettings, ...updates });
+        const missing = provider.getMissingSettings(config);
+
+        if (missing.length > 0) {
+            this.showError(`Please enter ${missing.map(setting => setting.label).join(', ')}`);
             return;
         }
 
-        await chrome.storage.sync.set({ [`${apiProvider}_api_key`]: apiKey });
-        document.getElementById('apiKey').value = '';
-        this.showSuccess('API key saved successfully');
+        await chrome.storage.sync.set(updates);
+        if (removals.length > 0) {
+            await chrome.storage.sync.remove(removals);
+        }
+
+        await this.renderProviderSettings();
+        this.showSuccess(`${provider.name} settings saved successfully`);
         this.updateConnectionStatus();
     }
 
     async startRecording() {
         try {
+            await this.applySiteRule();
             const sourceType = document.getElementById('sourceSelect').value;
             
             // Request permissions based on source type
@@ -112,12 +489,21 @@ class AudioTranscriptionPanel {
                 }
             }
 
-            // Start audio capture
+            // Start audio capture; chunk offsets are measured from this moment
+            const startTime = Date.now();
+            this.captureStartTime = startTime;
+            this.chunkCadence = document.getElementById('adaptiveChunks').checked
+                ? new ChunkCadence({ initialSeconds: parseInt(document.getElementById('chunkSize').value) || 30 })
+                : null;
             await this.initializeAudioCapture(sourceType);
             
             this.isRecording = true;
             this.isPaused = false;
-            this.startTime = Date.now();
+            if (sourceType === 'current' || sourceType === 'both') {
+                const tab = await this.getCurrentTab();
+                this.recordingTabId = tab ? tab.id : null;
+            }
+            this.startTime = startTime;
             this.sessionData = [];
             
             this.updateUI();
@@ -126,6 +512,9 @@ class AudioTranscriptionPanel {
             
             // Clear previous transcription
             this.clearTranscription();
+
+            // Every recording is persisted as its own session
+            await this.createSession(sourceType);
             
             // Send message to background script
             chrome.runtime.sendMessage({
@@ -136,14 +525,20 @@ class AudioTranscriptionPanel {
         } catch (error) {
             console.error('Failed to start recording:', error);
             this.showError('Failed to start recording: ' + error.message);
+
+            if (!this.isRecording) {
+                await this.releaseAudioCapture();
+            }
         }
     }
 
     async initializeAudioCapture(sourceType) {
+        // In "both" mode each source is its own channel so the conversation can be told apart
+        const labels = sourceType === 'both'
+            ? { tab: 'Remote', microphone: 'Me' }
+            : { tab: 'Tab Audio', microphone: 'Microphone' };
+
         if (sourceType === 'current' || sourceType === 'both') {
-            // Capture tab audio using the correct API signature
-            const tab = await this.getCurrentTab();
-            
             // Use callback-based approach for tabCapture
             const stream = await new Promise((resolve, reject) => {
                 chrome.tabCapture.capture(
@@ -164,14 +559,8 @@ class AudioTranscriptionPanel {
                     }
                 );
             });
-            
-            if (sourceType === 'current') {
-                this.setupMediaRecorder(stream, 'Tab Audio');
-                return;
-            }
-            
-            // Store tab stream for combining with microphone
-            this.tabStream = stream;
+
+            this.streams.push(stream);
         }
         
         if (sourceType === 'microphone' || sourceType === 'both') {
@@ -183,74 +572,283 @@ class AudioTranscriptionPanel {
                     autoGainControl: true
                 }
             });
-            
-            if (sourceType === 'microphone') {
-                this.setupMediaRecorder(micStream, 'Microphone');
-                return;
+
+            this.streams.push(micStream);
+        }
+
+        if (typeof AudioWorkletNode === 'undefined') {
+            throw new Error('Audio recording not supported by this browser');
+        }
+
+        // Streaming mode sends audio continuously instead of in chunks
+        const streaming = await this.getStreamingConfig();
+
+        // Start every channel only once all streams are available so their clocks line up
+        const channels = [];
+        if (sourceType === 'current' || sourceType === 'both') {
+            channels.push({ id: 'tab', label: labels.tab, stream: this.streams[0] });
+        }
+        if (sourceType === 'microphone' || sourceType === 'both') {
+            channels.push({ id: 'microphone', label: labels.microphone, stream: this.streams[this.streams.length - 1] });
+        }
+
+        this.channels = channels;
+        for (const channel of channels) {
+            if (streaming) {
+                channel.liveStream = this.createLiveStream(channel, streaming.provider, streaming.config);
             }
-            
-            // Combine both streams if both selected
-            if (this.tabStream) {
-                const combinedStream = await this.combineAudioStreams(this.tabStream, micStream);
-                this.setupMediaRecorder(combinedStream, 'Tab Audio + Microphone');
-            } else {
-                this.setupMediaRecorder(micStream, 'Microphone');
+            await this.setupAudioCapture(channel);
+        }
+    }
+
+    async setupAudioCapture(channel) {
+        const capture = new AudioCapture(channel.stream, {
+            sampleRate: this.sampleRate,
+            chunkSeconds: this.getChunkSeconds(),
+            overlapSeconds: parseInt(document.getElementById('overlapSize').value) || 0,
+            vad: document.getElementById('vad').checked ? new VoiceActivityDetector({ sampleRate: this.sampleRate }) : null,
+            minChunkSeconds: parseInt(document.getElementById('minChunkSize').value) || 10,
+            onChunk: (chunk) => this.processAudioChunk(chunk, channel),
+            onSilence: (silence) => this.recordSkippedSilence(silence, channel),
+            onSamples: channel.liveStream ? (samples) => channel.liveStream.sendAudio(samples) : null
+        });
+
+        this.audioCaptures.push(capture);
+        await capture.start();
+    }
+
+    getChunkSeconds() {
+        return this.chunkCadence ? this.chunkCadence.seconds : parseInt(document.getElementById('chunkSize').value) || 30;
+    }
+
+    // Chunk settings changed while recording apply from the next chunk
+    applyChunkSettings() {
+        const adaptive = document.getElementById('adaptiveChunks').checked;
+        if (!adaptive) {
+            this.chunkCadence = null;
+        } else if (!this.chunkCadence && this.isRecording) {
+            this.chunkCadence = new ChunkCadence({ initialSeconds: parseInt(document.getElementById('chunkSize').value) || 30 });
+        }
+
+        const vadEnabled = document.getElementById('vad').checked;
+
+        this.audioCaptures.forEach(capture => {
+            capture.configure({
+                chunkSeconds: this.getChunkSeconds(),
+                minChunkSeconds: parseInt(document.getElementById('minChunkSize').value) || 10,
+                overlapSeconds: parseInt(document.getElementById('overlapSize').value) || 0
+            });
+
+            if (!!capture.vad !== vadEnabled) {
+                capture.setVad(vadEnabled ? new VoiceActivityDetector({ sampleRate: this.sampleRate }) : null);
             }
+        });
+
+        this.updateSessionStats();
+    }
+
+    // Adaptive mode: the next chunks get longer or shorter depending on how the provider handled this one
+    adaptChunkSize(response, duration) {
+        if (!this.chunkCadence || !response) return;
+
+        const previous = this.chunkCadence.seconds;
+        const seconds = this.chunkCadence.record({ duration, latency: response.latency, rateLimited: response.rateLimited });
+
+        if (seconds !== previous) {
+            this.audioCaptures.forEach(capture => capture.configure({ chunkSeconds: seconds }));
+            this.updateSessionStats();
         }
     }
 
-    async combineAudioStreams(stream1, stream2) {
-        // Create audio context for mixing streams
-        const audioContext = new AudioContext();
-        
-        // Create sources from both streams
-        const source1 = audioContext.createMediaStreamSource(stream1);
-        const source2 = audioContext.createMediaStreamSource(stream2);
-        
-        // Create a destination for the mixed audio
-        const destination = audioContext.createMediaStreamDestination();
-        
-        // Connect both sources to the destination
-        source1.connect(destination);
-        source2.connect(destination);
-        
-        return destination.stream;
+    async releaseAudioCapture() {
+        // Sends the final partial chunks before the streams are released
+        const captures = this.audioCaptures;
+        this.audioCaptures = [];
+        await Promise.all(captures.map(capture => capture.stop()));
+
+        // Let live streams finalize the audio they already received
+        const channels = this.channels;
+        this.channels = [];
+        await Promise.all(channels.filter(channel => channel.liveStream).map(async (channel) => {
+            await channel.liveStream.close();
+            this.commitLiveSegments(channel);
+            this.updateInterim(channel, '');
+        }));
+
+        this.streams.forEach(stream => stream.getTracks().forEach(track => track.stop()));
+        this.streams = [];
     }
 
-    setupMediaRecorder(stream, sourceLabel = 'Tab Audio') {
-        this.audioContext = new AudioContext();
-        this.currentStream = stream;
-        this.currentSourceLabel = sourceLabel;
-        
-        // Check if MediaRecorder is supported with the stream
-        if (!MediaRecorder.isTypeSupported('audio/webm')) {
-            throw new Error('Audio recording not supported by this browser');
+    async getStreamingConfig() {
+        if (document.getElementById('transcriptionMode').value !== 'streaming') return null;
+
+        const provider = this.getSelectedProvider();
+        if (!provider.streaming) {
+            this.showError(`${provider.name} does not support streaming, using batch mode`);
+            return null;
         }
-        
-        this.mediaRecorder = new MediaRecorder(stream, {
-            mimeType: 'audio/webm'
+
+        const storedSettings = await chrome.storage.sync.get(provider.getStorageKeys());
+        const config = provider.resolveConfig(storedSettings);
+        provider.validateConfig(config);
+
+        return { provider, config };
+    }
+
+    createLiveStream(channel, provider, config) {
+        const { url, protocols } = provider.getStreamingConnection(config, this.sampleRate, {
+            diarize: document.getElementById('diarization').checked,
+            language: document.getElementById('languageSelect').value,
+            vocabulary: this.getVocabulary()
         });
-        
-        this.audioChunks = [];
-        
-        this.mediaRecorder.ondataavailable = (event) => {
-            if (event.data.size > 0) {
-                this.audioChunks.push(event.data);
-                console.log(`Audio chunk received: ${event.data.size} bytes`);
-            }
-        };
 
-        this.mediaRecorder.onerror = (event) => {
-            console.error('MediaRecorder error:', event.error);
-            this.showError('Recording error: ' + event.error.message);
-        };
+        channel.provider = provider.id;
+        channel.finalSegments = [];
+
+        const liveStream = new DeepgramStream({
+            url,
+            protocols,
+            sampleRate: this.sampleRate,
+            onTranscript: (result) => this.handleLiveTranscript(channel, result),
+            onStateChange: (state) => this.handleLiveStreamState(channel, state)
+        });
+
+        liveStream.connect();
+        return liveStream;
+    }
+
+    handleLiveTranscript(channel, result) {
+        if (!result.isFinal) {
+            // Interim text is shown after the finalized text it continues
+            const pending = channel.finalSegments.map(segment => segment.text);
+            this.updateInterim(channel, [...pending, result.text].join(' ').trim());
+            return;
+        }
+
+        if (result.text) {
+            channel.finalSegments.push(result);
+        }
+
+        // Finalized segments are collected into one entry per utterance
+        if (result.speechFinal) {
+            this.commitLiveSegments(channel);
+        }
+
+        this.updateInterim(channel, channel.finalSegments.map(segment => segment.text).join(' '));
+    }
+
+    commitLiveSegments(channel) {
+        const segments = channel.finalSegments || [];
+        if (segments.length === 0) return;
 
-        this.mediaRecorder.onstop = () => {
-            console.log('MediaRecorder stopped');
+        channel.finalSegments = [];
+
+        const confidence = segments.reduce((sum, segment) => sum + (segment.confidence || 0), 0) / segments.length;
+        const data = {
+            text: segments.map(segment => segment.text).join(' '),
+            timestamp: this.captureStartTime + Math.round(segments[0].start * 1000),
+            start: Math.round(segments[0].start * 1000),
+            end: Math.round(segments[segments.length - 1].end * 1000),
+            timings: segments.flatMap(segment => segment.words).map(word => ({
+                text: word.punctuated_word || word.word,
+                start: Math.round(word.start * 1000),
+                end: Math.round(word.end * 1000)
+            })),
+            source: channel.label,
+            channel: channel.id,
+            confidence,
+            provider: channel.provider,
+            language: document.getElementById('languageSelect').value || null,
+            // Live results come between chunks, so the position is carried forward from the latest one
+            media: channel.id === 'tab' ? this.lastMediaPosition : null,
+            sessionId: this.currentSession ? this.currentSession.id : null,
+            streamed: true
         };
 
-        // Start recording and request data every 5 seconds
-        this.mediaRecorder.start(5000);
+        // With diarization every word carries a speaker number that holds for the whole connection
+        const words = segments.flatMap(segment => segment.words);
+        if (words.length > 0 && words.every(word => word.speaker !== undefined)) {
+            const turns = [];
+            words.forEach(word => {
+                const speaker = `Speaker ${word.speaker + 1}`;
+                const text = word.punctuated_word || word.word;
+                const last = turns[turns.length - 1];
+
+                if (last && last.speaker === speaker) {
+                    last.text += ` ${text}`;
+                    last.end = Math.round(word.end * 1000);
+                } else {
+                    turns.push({ speaker, text, start: Math.round(word.start * 1000), end: Math.round(word.end * 1000) });
+                }
+            });
+
+            data.segments = turns;
+            data.speakerScope = 'session';
+        }
+
+        this.addDiarizedEntries(data);
+        this.noteLiveSummaryResult();
+        this.translatePending();
+    }
+
+    handleLiveStreamState(channel, state) {
+        const statusElement = document.getElementById('connectionStatus');
+        const statusText = statusElement.querySelector('.text');
+
+        switch (state) {
+            case 'open':
+                statusElement.className = 'status online';
+                statusText.textContent = 'Streaming';
+                break;
+
+            case 'reconnecting':
+                statusElement.className = 'status syncing';
+                statusText.textContent = 'Reconnecting...';
+                break;
+
+            case 'failed':
+                // Keep the words already finalized and let the chunked pipeline take over
+                this.commitLiveSegments(channel);
+                this.updateInterim(channel, '');
+                this.showError('Streaming connection lost, falling back to batch transcription');
+                this.updateConnectionStatus();
+                break;
+
+            case 'closed':
+                this.updateConnectionStatus();
+                break;
+        }
+    }
+
+    updateInterim(channel, text) {
+        channel.interimText = text;
+        this.updateCaptionOverlay();
+
+        const display = document.getElementById('transcriptionDisplay');
+        let element = display.querySelector(`.transcript-entry.interim[data-channel="${channel.id}"]`);
+
+        if (!text) {
+            if (element) element.remove();
+            return;
+        }
+
+        if (!element) {
+            const placeholder = display.querySelector('.placeholder');
+            if (placeholder) {
+                placeholder.remove();
+            }
+
+            element = this.createTranscriptEntry({ source: channel.label, channel: channel.id, text: '' }, false);
+            element.classList.add('interim');
+            element.dataset.channel = channel.id;
+            display.appendChild(element);
+        }
+
+        element.querySelector('.transcript-text').textContent = text;
+
+        if (document.getElementById('autoScroll').checked) {
+            display.scrollTop = display.scrollHeight;
+        }
     }
 
     async getCurrentTab() {
@@ -267,51 +865,54 @@ class AudioTranscriptionPanel {
         }
     }
 
-    stopRecording() {
+    async stopRecording() {
         this.isRecording = false;
         this.isPaused = false;
-        
-        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
-            this.mediaRecorder.stop();
-        }
-        
-        // Stop all tracks in the current stream
-        if (this.currentStream) {
-            this.currentStream.getTracks().forEach(track => track.stop());
-            this.currentStream = null;
-        }
-        
-        // Stop tab stream if it exists separately
-        if (this.tabStream) {
-            this.tabStream.getTracks().forEach(track => track.stop());
-            this.tabStream = null;
-        }
-        
-        if (this.audioContext) {
-            this.audioContext.close();
-            this.audioContext = null;
-        }
-        
+
         this.stopTimer();
         this.updateUI();
         this.updateRecordingStatus('inactive');
         
+        // The final partial chunks are sent before the background is told to stop
+        await this.releaseAudioCapture();
+        
         // Send message to background script
         chrome.runtime.sendMessage({ type: 'stopRecording' });
+
+        clearTimeout(this.liveSummary.retryTimer);
+        this.liveSummary.retryTimer = null;
+        this.clearIdleTimer();
+        this.updateCaptionOverlay();
+        this.recordingTabId = null;
+        this.lastMediaPosition = null;
+        this.autoRecord.pausedByMedia = false;
+
+        if (this.currentSession) {
+            this.currentSession.endTime = Date.now();
+            this.saveCurrentSession().then(() => this.refreshHistory());
+
+            if (this.activeRule && this.activeRule.exportFormat && this.currentSession.entries.length > 0) {
+                this.downloadTranscript(this.activeRule.exportFormat, this.currentSession);
+            }
+        }
+
+        await this.restoreRuleDefaults();
     }
 
-    togglePause() {
+    // byMedia: paused or resumed because the recorded tab stopped or started playing
+    togglePause(byMedia = false) {
         this.isPaused = !this.isPaused;
+        // Only pauses that came from the tab are undone by the tab; the user's own pauses stay
+        this.autoRecord.pausedByMedia = byMedia && this.isPaused;
+        if (!this.autoRecord.pausedByMedia) {
+            this.clearIdleTimer();
+        }
         
         if (this.isPaused) {
-            if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
-                this.mediaRecorder.pause();
-            }
+            this.audioCaptures.forEach(capture => capture.pause());
             this.stopTimer();
         } else {
-            if (this.mediaRecorder && this.mediaRecorder.state === 'paused') {
-                this.mediaRecorder.resume();
-            }
+            this.audioCaptures.forEach(capture => capture.resume());
             this.startTimer();
         }
         
@@ -319,253 +920,2076 @@ class AudioTranscriptionPanel {
         this.updateRecordingStatus(this.isPaused ? 'paused' : 'recording');
     }
 
-    setupPeriodicTranscription() {
-        setInterval(async () => {
-            if (this.isRecording && !this.isPaused && this.audioChunks.length > 0) {
-                await this.processAudioChunk();
+    // The media state of a tab reported by content.js: with "Record automatically" on, or a
+    // site rule turning it on for the tab, the active tab starts a recording when it plays,
+    // and the recorded tab pauses it when it goes quiet, resumes it when it plays again and
+    // stops it after the idle timeout
+    async handleMediaState({ tabId, hasActiveAudio, url }) {
+        if (this.isRecording) {
+            if (tabId !== this.recordingTabId || !this.isAutoRecordEnabled(this.activeRule)) return;
+
+            if (hasActiveAudio && this.isPaused && this.autoRecord.pausedByMedia) {
+                this.togglePause(true);
+            } else if (!hasActiveAudio && !this.isPaused) {
+                this.togglePause(true);
+                const minutes = parseInt(document.getElementById('autoStopMinutes').value) || 2;
+                this.autoRecord.idleTimer = setTimeout(() => this.stopRecording(), minutes * 60000);
             }
-        }, 30000); // Process every 30 seconds
-    }
+            return;
+        }
 
-    async processAudioChunk() {
-        if (this.audioChunks.length === 0) return;
+        // The rule for the tab decides before it is applied, as it may turn auto-start on or off
+        const rule = this.siteRules.find(url);
+        const sourceType = (rule && rule.sourceType) || document.getElementById('sourceSelect').value;
+        if (!hasActiveAudio || this.autoRecord.isStarting || !this.isAutoRecordEnabled(rule)) return;
+        if (sourceType !== 'current' && sourceType !== 'both') return;
 
-        const settings = await chrome.storage.sync.get(['chunkSize', 'overlapSize']);
-        const chunkSize = settings.chunkSize || 30;
-        const overlapSize = settings.overlapSize || 3;
+        const tab = await this.getCurrentTab();
+        if (!tab || tab.id !== tabId) return;
 
-        // Create audio blob from chunks
-        const audioBlob = new Blob(this.audioChunks, { type: 'audio/webm' });
-        
-        // Add overlap from previous chunk if available
-        let finalBlob = audioBlob;
-        if (this.lastOverlapBuffer) {
-            finalBlob = new Blob([this.lastOverlapBuffer, audioBlob], { type: 'audio/webm' });
+        this.autoRecord.isStarting = true;
+        try {
+            await this.startRecording();
+        } finally {
+            this.autoRecord.isStarting = false;
         }
+    }
 
-        // Save overlap for next chunk
-        const overlapStart = Math.max(0, this.audioChunks.length - Math.floor(overlapSize * 1000 / 100));
-        this.lastOverlapBuffer = new Blob(
-            this.audioChunks.slice(overlapStart), 
-            { type: 'audio/webm' }
-        );
-
-        // Send to background script for transcription
-        chrome.runtime.sendMessage({
-            type: 'transcribeAudio',
-            audioData: await this.blobToBase64(finalBlob),
-            timestamp: Date.now()
-        });
+    isAutoRecordEnabled(rule) {
+        if (rule && rule.autoStart !== null) return rule.autoStart;
+        return document.getElementById('autoRecord').checked;
+    }
 
-        // Clear processed chunks but keep some for overlap
-        this.audioChunks = this.audioChunks.slice(overlapStart);
+    clearIdleTimer() {
+        clearTimeout(this.autoRecord.idleTimer);
+        this.autoRecord.idleTimer = null;
     }
 
-    async blobToBase64(blob) {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-            reader.onloadend = () => resolve(reader.result.split(',')[1]);
-            reader.readAsDataURL(blob);
-        });
+    // The URL of the page as content.js reports it, or the tab's URL where the content
+    // script doesn't run (e.g. pages opened before the extension was installed)
+    async getTabUrl(tab) {
+        try {
+            const info = await chrome.tabs.sendMessage(tab.id, { type: 'getPageInfo' });
+            if (info && info.url) return info.url;
+        } catch (error) {
+            // No content script in this tab
+        }
+        return tab.url || '';
     }
 
-    addTranscriptionEntry(data) {
-        const settings = JSON.parse(localStorage.getItem('transcriptionSettings') || '{}');
-        const showTimestamps = settings.showTimestamps !== false;
-        const autoScroll = settings.autoScroll !== false;
+    // Applies the settings of the rule matching the active tab, as if they were chosen by hand.
+    // Settings can't change under a running recording, so it only applies before one starts.
+    async applySiteRule() {
+        if (this.isRecording) return this.activeRule;
 
-        const entry = {
-            timestamp: data.timestamp || Date.now(),
-            text: data.text || '',
-            source: data.source || this.currentSourceLabel || 'Audio',
-            confidence: data.confidence || null
-        };
+        const tab = await this.getCurrentTab();
+        const rule = tab ? this.siteRules.find(await this.getTabUrl(tab)) : null;
+        this.activeRule = rule;
+        this.renderSiteRules();
 
-        this.sessionData.push(entry);
+        // Another tab's rule no longer applies
+        await this.restoreRuleDefaults();
+        if (!rule) return null;
 
-        // Update display
-        const display = document.getElementById('transcriptionDisplay');
-        const placeholder = display.querySelector('.placeholder');
-        
-        if (placeholder) {
-            placeholder.remove();
+        if (rule.sourceType) {
+            this.setRuleValue('sourceSelect', rule.sourceType);
+        }
+        if (rule.language) {
+            this.setRuleValue('languageSelect', rule.language === 'auto' ? '' : rule.language);
+        }
+        if (rule.chunkSize) {
+            this.setRuleValue('chunkSize', rule.chunkSize);
+        }
+        if (rule.provider && providerRegistry.has(rule.provider)) {
+            await this.setRuleValue('apiSelect', rule.provider);
+        }
+
+        return rule;
+    }
+
+    // Rules only apply to the tab they match, so the value is set for this session
+    // and the user's own one kept to be saved and restored
+    async setRuleValue(id, value) {
+        const control = document.getElementById(id);
+        if (control.value === String(value)) return;
+
+        if (!(id in this.ruleDefaults)) {
+            this.ruleDefaults[id] = control.value;
+        }
+        control.value = value;
+
+        if (id === 'apiSelect') {
+            await this.renderProviderSettings();
+            this.updateConnectionStatus();
+        }
+    }
+
+    async restoreRuleDefaults() {
+        const defaults = Object.entries(this.ruleDefaults);
+        this.ruleDefaults = {};
+
+        defaults.forEach(([id, value]) => {
+            document.getElementById(id).value = value;
+        });
+
+        if (defaults.some(([id]) => id === 'apiSelect')) {
+            await this.renderProviderSettings();
+            this.updateConnectionStatus();
+        }
+    }
+
+    // The value to save for a control, which is the user's own while a rule overrides it
+    getDefaultValue(id) {
+        return id in this.ruleDefaults ? this.ruleDefaults[id] : document.getElementById(id).value;
+    }
+
+    addSiteRule(pattern) {
+        this.siteRules.rules.push(SiteRules.createRule(pattern));
+        this.saveSiteRules();
+        this.renderSiteRules();
+    }
+
+    async saveSiteRules() {
+        try {
+            await chrome.storage.sync.set({ siteRules: this.siteRules.rules });
+        } catch (error) {
+            this.showError('Failed to save site rules: ' + error.message);
+        }
+    }
+
+    renderSiteRules() {
+        const list = document.getElementById('siteRulesList');
+        const status = document.getElementById('siteRuleStatus');
+        list.innerHTML = '';
+
+        status.textContent = this.activeRule
+            ? `Applied to this tab: ${this.activeRule.pattern}`
+            : 'Rules apply to the active tab when the panel opens and when recording starts. The first matching rule wins.';
+
+        if (this.siteRules.rules.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'history-empty';
+            empty.textContent = 'No site rules yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.siteRules.rules.forEach(rule => list.appendChild(this.createSiteRuleItem(rule)));
+    }
+
+    createSiteRuleItem(rule) {
+        const div = document.createElement('div');
+        div.className = 'rule-item';
+        div.classList.toggle('active', !!this.activeRule && this.activeRule.id === rule.id);
+
+        // Every field saves on change; empty values keep the current setting
+        const addField = (label, control, read, className = '') => {
+            const wrapper = document.createElement('label');
+            wrapper.className = className;
+            wrapper.append(label, control);
+            control.className = control.tagName === 'SELECT' ? 'setting-select' : 'setting-input';
+            control.addEventListener('change', () => {
+                read(control.value);
+                this.saveSiteRules();
+            });
+            div.appendChild(wrapper);
+        };
+
+        const createSelect = (options, value) => {
+            const select = document.createElement('select');
+            options.forEach(([optionValue, name]) => select.add(new Option(name, optionValue)));
+            select.value = value;
+            return select;
+        };
+
+        const pattern = document.createElement('input');
+        pattern.type = 'text';
+        pattern.placeholder = 'e.g. meet.google.com or *.zoom.us/wc';
+        pattern.value = rule.pattern;
+        addField('URL pattern', pattern, value => { rule.pattern = value.trim(); }, 'rule-pattern');
+
+        const keep = ['', 'Keep current'];
+
+        addField('Source', createSelect([keep, ['current', 'Current Tab'], ['microphone', 'Microphone'], ['both', 'Both']],
+            rule.sourceType || ''), value => { rule.sourceType = value || null; });
+
+        addField('Provider', createSelect([keep, ...providerRegistry.list().map(provider => [provider.id, provider.name])],
+            rule.provider || ''), value => { rule.provider = value || null; });
+
+        addField('Language', createSelect([keep, ['auto', 'Auto-detect'], ...TRANSCRIPTION_LANGUAGES.filter(([code]) => code)],
+            rule.language || ''), value => { rule.language = value || null; });
+
+        const chunkSize = document.createElement('input');
+        chunkSize.type = 'number';
+        chunkSize.min = 10;
+        chunkSize.max = 60;
+        chunkSize.placeholder = 'Keep current';
+        chunkSize.value = rule.chunkSize || '';
+        addField('Chunk size (s)', chunkSize, value => { rule.chunkSize = parseInt(value) || null; });
+
+        const autoStart = rule.autoStart === null ? '' : (rule.autoStart ? 'yes' : 'no');
+        addField('Auto-start', createSelect([keep, ['yes', 'Yes'], ['no', 'No']], autoStart),
+            value => { rule.autoStart = value ? value === 'yes' : null; });
+
+        const formats = Array.from(document.getElementById('exportFormat').options).map(option => [option.value, option.text]);
+        addField('Export on stop', createSelect([['', 'None'], ...formats], rule.exportFormat || ''),
+            value => { rule.exportFormat = value || null; });
+
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-small';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => {
+            this.siteRules.rules = this.siteRules.rules.filter(item => item.id !== rule.id);
+            this.saveSiteRules();
+            this.renderSiteRules();
+        });
+        div.appendChild(remove);
+
+        return div;
+    }
+
+    async processAudioChunk(chunk, channel) {
+        // Order entries by when the new (non-overlapping) audio was recorded, not when it was sent
+        const offset = Math.round((chunk.startSample + chunk.overlapSamples) / chunk.sampleRate * 1000);
+        const audioStart = Math.round(chunk.startSample / chunk.sampleRate * 1000);
+
+        const media = channel.id === 'tab' ? await this.getMediaPosition(offset, chunk.newAudioTime) : null;
+        if (media) {
+            this.lastMediaPosition = media;
+        }
+
+        // Live streams transcribe the audio already, unless they gave up and fell back to batch
+        if (channel.liveStream && channel.liveStream.state !== 'failed') return;
+
+        if (this.currentSession) {
+            this.currentSession.stats.chunksSent++;
+            this.updateSessionStats();
+        }
+
+        // Send to background script for transcription
+        const response = await chrome.runtime.sendMessage({
+            type: 'transcribeAudio',
+            audioData: await this.blobToBase64(chunk.blob),
+            mimeType: chunk.mimeType,
+            timestamp: this.captureStartTime + offset,
+            // Position of the chunk's audio in the recording, in ms, for subtitle timings
+            audioStart,
+            audioEnd: Math.round(chunk.endSample / chunk.sampleRate * 1000),
+            overlapDuration: offset - audioStart,
+            source: channel.label,
+            channel: channel.id,
+            hasOverlap: chunk.overlapSamples > 0,
+            diarize: document.getElementById('diarization').checked,
+            speakerContext: this.speakerTracker ? this.speakerTracker.getContext(channel.id) : null,
+            language: document.getElementById('languageSelect').value,
+            vocabulary: this.getVocabulary(),
+            media,
+            sessionId: this.currentSession ? this.currentSession.id : null
+        });
+
+        // Only the new audio has to be transcribed before the next chunk is ready
+        this.adaptChunkSize(response, Math.round(chunk.endSample / chunk.sampleRate * 1000) - offset);
+    }
+
+    // Asks content.js where the recorded tab's video or audio element was at wall-clock time at,
+    // offset ms into the recording. Offsets skip paused time, so the time of the audio is passed
+    // along. Returns { url, time, rate, offset }, or null when the tab plays no media.
+    async getMediaPosition(offset, at) {
+        if (this.recordingTabId === null) return null;
+
+        try {
+            const media = await chrome.tabs.sendMessage(this.recordingTabId, { type: 'getMediaTime', at });
+            return media ? { ...media, offset } : null;
+        } catch (error) {
+            // The tab was closed or has no content script
+            return null;
+        }
+    }
+
+    // Seeks the tab showing the entry's video to the entry, or opens the video at
+    // that moment when no tab shows it any more
+    async seekToEntry(entryId) {
+        const entries = this.currentSession ? this.currentSession.entries : this.sessionData;
+        const entry = entries.find(item => item.id === entryId);
+        if (!entry || !entry.media) return;
+
+        const tabs = await chrome.tabs.query({});
+        const tab = tabs.find(item => item.url === entry.media.url);
+
+        if (tab) {
+            try {
+                const response = await chrome.tabs.sendMessage(tab.id, { type: 'seekMedia', time: entry.media.time });
+                if (response && response.success) {
+                    await chrome.tabs.update(tab.id, { active: true });
+                    await chrome.windows.update(tab.windowId, { focused: true });
+                    return;
+                }
+            } catch (error) {
+                // No content script in the tab; open the video instead
+            }
+        }
+
+        await chrome.tabs.create({ url: this.exporter.getMediaLink(entry.media.url, entry.media.time) });
+    }
+
+    // Sends the newest lines to the caption overlay in the recorded tab (caption-overlay.js),
+    // or removes it when captions are turned off or recording stops
+    updateCaptionOverlay() {
+        if (this.recordingTabId === null) return;
+
+        let message = { type: 'hideCaptions' };
+
+        if (this.isRecording && document.getElementById('captionOverlay').checked) {
+            const lineCount = parseInt(document.getElementById('captionLines').value) || 2;
+            message = {
+                type: 'showCaptions',
+                lines: this.sessionData
+                    .filter(entry => entry.text)
+                    .slice(-lineCount)
+                    .map(entry => entry.speaker ? `${this.getSpeakerName(entry.speaker)}: ${entry.text}` : entry.text),
+                interim: this.channels.map(channel => channel.interimText).filter(Boolean).join(' '),
+                style: {
+                    fontSize: parseInt(document.getElementById('captionFontSize').value) || 24,
+                    backgroundOpacity: this.getCaptionOpacity() / 100,
+                    lineCount
+                }
+            };
+        }
+
+        chrome.tabs.sendMessage(this.recordingTabId, message).catch(() => {
+            // The tab was closed or has no content script
+        });
+    }
+
+    // Background opacity in percent; 0 is a valid choice
+    getCaptionOpacity() {
+        const opacity = parseInt(document.getElementById('captionOpacity').value);
+        return isNaN(opacity) ? 60 : Math.min(100, Math.max(0, opacity));
+    }
+
+    recordSkippedSilence(silence, channel) {
+        if (channel.liveStream && channel.liveStream.state !== 'failed') return;
+        if (!this.currentSession) return;
+
+        const stats = this.currentSession.stats;
+        stats.chunksSkipped++;
+        stats.silenceSkipped += Math.round((silence.endSample - silence.startSample) / silence.sampleRate * 1000);
+
+        this.updateSessionStats();
+        this.saveCurrentSession();
+    }
+
+    updateSessionStats() {
+        const stats = this.currentSession && this.currentSession.stats;
+        const element = document.getElementById('sessionStats');
+
+        if (!stats || stats.chunksSent + stats.chunksSkipped === 0) {
+            element.textContent = '';
+            return;
+        }
+
+        element.textContent = `${stats.chunksSent} chunks sent · ${stats.chunksSkipped} silent skipped` +
+            (stats.silenceSkipped > 0 ? ` (${this.formatElapsedTime(stats.silenceSkipped)} of silence)` : '') +
+            (this.chunkCadence && this.isRecording ? ` · ${this.chunkCadence.seconds}s chunks` : '');
+    }
+
+    // One term per line; commas separate terms too
+    getVocabulary() {
+        const terms = document.getElementById('vocabulary').value
+            .split(/[\n,]/)
+            .map(term => term.trim())
+            .filter(Boolean);
+
+        return Array.from(new Set(terms));
+    }
+
+    async blobToBase64(blob) {
+        return new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onloadend = () => resolve(reader.result.split(',')[1]);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // Returns whether the result was stored, or had nowhere to go because its session was deleted
+    async handleTranscriptionResult(result) {
+        const data = this.resolveTimings(result);
+
+        if (!data.sessionId || (this.currentSession && this.currentSession.id === data.sessionId)) {
+            this.addDiarizedEntries(data);
+            this.noteLiveSummaryResult();
+            this.translatePending();
+            return true;
+        }
+
+        // A retried chunk finished after its session was closed; file it with that session
+        try {
+            const session = await this.store.getSession(data.sessionId);
+            if (!session) return true;
+
+            if (this.insertEntry(session.entries, data)) {
+                await this.store.saveSession(session);
+                await this.refreshHistory();
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to store late transcription:', error);
+            return false;
+        }
+    }
+
+    // Converts provider timings, in seconds into the chunk's audio, to ms from the start
+    // of the recording. Without provider timings the entry spans the chunk's new audio.
+    resolveTimings(data) {
+        if (data.audioStart === undefined) return data;
+
+        const toOffset = seconds => data.audioStart + Math.round(seconds * 1000);
+        const timings = (data.timings || []).map(timing => ({
+            text: timing.text,
+            start: toOffset(timing.start),
+            end: toOffset(timing.end)
+        }));
+
+        return {
+            ...data,
+            start: timings.length > 0 ? timings[0].start : data.audioStart + data.overlapDuration,
+            end: timings.length > 0 ? timings[timings.length - 1].end : data.audioEnd,
+            timings,
+            segments: data.segments && data.segments.map(segment => segment.start !== undefined
+                ? { ...segment, start: toOffset(segment.start), end: toOffset(segment.end) }
+                : segment)
+        };
+    }
+
+    // Timings for each speaker turn. Turns the provider did not time share the
+    // result's span in proportion to their length.
+    getTurnTimings(data, turns) {
+        if (data.start === undefined) return turns.map(() => ({}));
+
+        const totalLength = turns.reduce((sum, turn) => sum + turn.text.length, 0) || 1;
+        let position = data.start;
+
+        return turns.map(turn => {
+            if (turn.start !== undefined) {
+                return {
+                    start: turn.start,
+                    end: turn.end,
+                    timings: (data.timings || []).filter(timing => timing.start >= turn.start && timing.end <= turn.end)
+                };
+            }
+
+            const start = position;
+            position += (data.end - data.start) * turn.text.length / totalLength;
+            return { start: Math.round(start), end: Math.round(position), timings: [] };
+        });
+    }
+
+    // Adds one entry per speaker turn when the provider identified speakers
+    addDiarizedEntries(data) {
+        if (!data.segments || data.segments.length === 0 || !this.speakerTracker) {
+            this.addTranscriptionEntry(data);
+            return;
+        }
+
+        const turns = this.speakerTracker.assign(data.channel, data.segments, {
+            scope: data.speakerScope,
+            continuesPrevious: data.hasOverlap
+        });
+        const turnTimings = this.getTurnTimings(data, turns);
+
+        turns.forEach((turn, index) => {
+            this.addTranscriptionEntry({
+                ...data,
+                ...turnTimings[index],
+                text: turn.text,
+                speaker: turn.speaker,
+                // Turns share the chunk's timestamp; offset them so they keep their order
+                timestamp: data.timestamp + index,
+                // Only the chunk's edges can overlap neighbouring chunks
+                firstTurn: index === 0,
+                lastTurn: index === turns.length - 1
+            });
+        });
+    }
+
+    createEntry(data) {
+        return {
+            id: crypto.randomUUID(),
+            timestamp: data.timestamp || Date.now(),
+            text: data.text || '',
+            source: data.source || this.currentSourceLabel || 'Audio',
+            channel: data.channel || null,
+            speaker: data.speaker || null,
+            confidence: data.confidence || null,
+            // ISO 639-1 code, detected by the provider or chosen for the session
+            language: data.language || null,
+            // Offsets into the recording in ms, used for subtitles
+            start: data.start !== undefined ? data.start : null,
+            end: data.end !== undefined ? data.end : null,
+            timings: data.timings || [],
+            // Whether the entry starts with audio repeated from the end of the previous chunk
+            hasOverlap: !!data.hasOverlap && data.firstTurn !== false && !data.streamed,
+            // The page's video or audio at the moment the entry starts, as { url, time, rate }
+            media: this.getEntryMedia(data)
+        };
+    }
+
+    // Media positions are taken at the start of a chunk; entries later in it are further on
+    getEntryMedia(data) {
+        const media = data.media;
+        if (!media || !media.url) return null;
+
+        const start = data.start !== undefined && data.start !== null ? data.start : media.offset;
+        const time = media.time + (start - media.offset) / 1000 * media.rate;
+        return { url: media.url, time: Math.max(0, Math.round(time * 10) / 10), rate: media.rate };
+    }
+
+    // Keeps an entry's timings in step with words removed by overlap trimming
+    trimEntryTimings(entry, originalText) {
+        const countWords = text => text.trim().split(/\s+/).filter(Boolean).length;
+        const removedWords = countWords(originalText) - countWords(entry.text);
+        if (removedWords <= 0 || !entry.timings || entry.timings.length === 0) return;
+
+        entry.timings = this.merger.trimTimings(entry.timings, removedWords);
+        if (entry.timings.length > 0) {
+            entry.start = entry.timings[0].start;
+        }
+    }
+
+    // Inserts a transcription result into entries in recording order, with the
+    // overlap shared with neighbouring chunks removed. Returns null when nothing
+    // but overlap was left.
+    insertEntry(entries, data) {
+        const entry = this.createEntry(data);
+
+        // Buffered chunks can come back late, so keep entries ordered by when they were recorded
+        let index = entries.length;
+        while (index > 0 && entries[index - 1].timestamp > entry.timestamp) {
+            index--;
+        }
+
+        let trimmedNext = null;
+
+        // Only the start of a chunk recorded with overlap repeats earlier audio: not its later
+        // speaker turns, not chunks after skipped silence and not streamed text
+        if (!data.streamed) {
+            const rawText = entry.text;
+            const previous = entry.hasOverlap && entries.slice(0, index).reverse().find(item => item.source === entry.source);
+            const next = data.lastTurn !== false && entries.slice(index).find(item => item.source === entry.source);
+
+            if (previous) {
+                entry.text = this.merger.trimOverlap(previous.text, rawText);
+                this.trimEntryTimings(entry, rawText);
+            }
+
+            // An entry arriving out of order also overlaps with the one recorded after it,
+            // unless that one was corrected by hand
+            if (next && next.hasOverlap && !this.editor.isEdited(next)) {
+                const nextText = this.merger.trimOverlap(rawText, next.text);
+                if (nextText !== next.text) {
+                    const originalText = next.text;
+                    next.text = nextText;
+                    // Translated again with the new entry
+                    next.translation = null;
+                    this.trimEntryTimings(next, originalText);
+                    trimmedNext = next;
+                }
+            }
+
+            if (rawText && !entry.text) {
+                return null;
+            }
+        }
+
+        entries.splice(index, 0, entry);
+        return { entry, index, trimmedNext };
+    }
+
+    addTranscriptionEntry(data) {
+        const showTimestamps = document.getElementById('showTimestamps').checked;
+        const autoScroll = document.getElementById('autoScroll').checked;
+
+        const inserted = this.insertEntry(this.sessionData, data);
+        if (!inserted) return;
+
+        const { entry, index, trimmedNext } = inserted;
+        this.saveCurrentSession();
+        this.updateCaptionOverlay();
+
+        // Update display
+        const display = document.getElementById('transcriptionDisplay');
+        const placeholder = display.querySelector('.placeholder');
+        
+        if (placeholder) {
+            placeholder.remove();
+        }
+
+        if (trimmedNext) {
+            const trimmedElement = display.querySelector(`[data-entry-id="${trimmedNext.id}"] .transcript-text`);
+            if (trimmedElement) {
+                this.renderEntryText(trimmedElement, trimmedNext.text);
+            }
+        }
+
+        this.updateFilterOptions();
+
+        // Entries hidden by the filters are still recorded, just not shown
+        if (!this.search.matches(entry, this.startTime)) {
+            this.updateSearchMatches();
+            return;
         }
 
         const entryElement = this.createTranscriptEntry(entry, showTimestamps);
-        display.appendChild(entryElement);
+        const nextElement = this.sessionData.slice(index + 1)
+            .map(next => display.querySelector(`[data-entry-id="${next.id}"]`))
+            .find(Boolean) || null;
+
+        // In-progress streaming text always stays below the finalized entries
+        const interimElement = display.querySelector('.transcript-entry.interim');
+
+        if (nextElement || interimElement) {
+            display.insertBefore(entryElement, nextElement || interimElement);
+        } else {
+            display.appendChild(entryElement);
+        }
+
+        this.updateSearchMatches();
+
+        // Don't scroll away from the match being looked at
+        if (autoScroll && !nextElement && this.currentMatch === -1) {
+            display.scrollTop = display.scrollHeight;
+        }
+    }
+
+    createTranscriptEntry(entry, showTimestamps) {
+        const div = document.createElement('div');
+        div.className = 'transcript-entry';
+        if (entry.channel) {
+            div.classList.add(`channel-${entry.channel}`);
+        }
+        if (entry.id) {
+            div.dataset.entryId = entry.id;
+        }
+
+        if (showTimestamps) {
+            const timestampDiv = document.createElement('div');
+            timestampDiv.className = 'transcript-timestamp';
+            timestampDiv.textContent = this.formatTimestamp(entry.timestamp);
+            div.appendChild(timestampDiv);
+        }
+
+        const sourceDiv = document.createElement('div');
+        sourceDiv.className = 'transcript-source';
+        if (entry.speaker) {
+            // Renaming a speaker renames every entry of theirs in the session
+            const speakerSpan = document.createElement('span');
+            speakerSpan.className = 'transcript-speaker';
+            speakerSpan.dataset.speaker = entry.speaker;
+            speakerSpan.textContent = this.getSpeakerName(entry.speaker);
+            speakerSpan.title = 'Click to rename';
+            sourceDiv.appendChild(speakerSpan);
+            sourceDiv.append(` · ${entry.source}`);
+        } else {
+            sourceDiv.textContent = entry.source;
+        }
+
+        // Detected languages are shown; a language chosen for the session would repeat on every entry
+        if (entry.language && !(this.currentSession && this.currentSession.language)) {
+            const languageTag = document.createElement('span');
+            languageTag.className = 'entry-language';
+            languageTag.textContent = entry.language;
+            sourceDiv.appendChild(languageTag);
+        }
+
+        // Where the entry is in the page's video, rather than in the recording
+        if (entry.media) {
+            const mediaButton = document.createElement('button');
+            mediaButton.className = 'media-time';
+            mediaButton.dataset.mediaSeek = '';
+            mediaButton.textContent = `▶ ${this.exporter.formatClock(entry.media.time * 1000)}`;
+            mediaButton.title = 'Jump to this moment in the video';
+            sourceDiv.appendChild(mediaButton);
+        }
+
+        if (this.editor.isEdited(entry)) {
+            const marker = document.createElement('span');
+            marker.className = 'edited-marker';
+            marker.textContent = 'edited';
+            marker.title = `Original: ${this.editor.getOriginalText(entry) || '(split from the entry above)'}`;
+            sourceDiv.appendChild(marker);
+        }
+        div.appendChild(sourceDiv);
+
+        if (entry.id) {
+            const actions = document.createElement('div');
+            actions.className = 'transcript-actions';
+
+            [['edit', 'Edit', 'Correct the text (or double-click it)'], ['merge', 'Merge ↑', 'Merge with the entry above']].forEach(([action, label, title]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-small';
+                button.dataset.entryAction = action;
+                button.textContent = label;
+                button.title = title;
+                actions.appendChild(button);
+            });
+
+            div.appendChild(actions);
+        }
+
+        const textDiv = document.createElement('div');
+        textDiv.className = 'transcript-text';
+        this.renderEntryText(textDiv, entry.text);
+        div.appendChild(textDiv);
+
+        if (entry.translation) {
+            div.appendChild(this.createTranslationElement(entry.translation));
+            div.classList.add('translated');
+        }
+
+        return div;
+    }
+
+    createTranslationElement(translation) {
+        const translationDiv = document.createElement('div');
+        translationDiv.className = 'transcript-translation';
+        translationDiv.title = translation.language;
+        translationDiv.textContent = translation.text;
+        return translationDiv;
+    }
+
+    // Translations are shown under the original text, instead of it, or not at all
+    updateTranslationView() {
+        const language = document.getElementById('translationLanguage').value;
+        const view = document.getElementById('translationView');
+
+        view.classList.toggle('hidden', !language);
+        document.getElementById('transcriptionDisplay').dataset.translationView = language ? view.value : 'original';
+    }
+
+    // Translates the entries of the session shown that have no translation into the
+    // chosen language yet; runs again afterwards if entries arrived in the meantime
+    async translatePending() {
+        const language = document.getElementById('translationLanguage').value;
+        const session = this.currentSession;
+        if (!language || !session) return;
+
+        if (this.isTranslating) {
+            this.translationQueued = true;
+            return;
+        }
+
+        const entries = session.entries.filter(entry =>
+            entry.text && (!entry.translation || entry.translation.language !== language)
+        );
+        if (entries.length === 0) return;
+
+        const texts = entries.map(entry => entry.text);
+        this.isTranslating = true;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'translateTexts', language, texts });
+
+            if (!response || !response.success) {
+                throw new Error(response ? response.error : 'No response from the background service');
+            }
+
+            entries.forEach((entry, index) => {
+                // Entries corrected while the translation was made are translated again
+                if (entry.text !== texts[index]) return;
+
+                entry.translation = { language, text: response.translations[index] };
+                this.updateEntryTranslation(entry);
+            });
+
+            await this.store.saveSession(session);
+        } catch (error) {
+            this.showError(`Translation failed: ${error.message}`);
+        } finally {
+            this.isTranslating = false;
+
+            if (this.translationQueued) {
+                this.translationQueued = false;
+                this.translatePending();
+            }
+        }
+    }
+
+    updateEntryTranslation(entry) {
+        const element = document.querySelector(`#transcriptionDisplay [data-entry-id="${entry.id}"]`);
+        if (!element || element.querySelector('.transcript-edit')) return;
+
+        const existing = element.querySelector('.transcript-translation');
+        const translationDiv = this.createTranslationElement(entry.translation);
+
+        if (existing) {
+            existing.replaceWith(translationDiv);
+        } else {
+            element.appendChild(translationDiv);
+        }
+        element.classList.add('translated');
+    }
+
+    // Shows text with the search matches highlighted
+    renderEntryText(element, text) {
+        const ranges = this.search.findMatches(text);
+        element.textContent = '';
+
+        let position = 0;
+        ranges.forEach(range => {
+            element.append(text.slice(position, range.start));
+
+            const mark = document.createElement('mark');
+            mark.className = 'search-match';
+            mark.textContent = text.slice(range.start, range.end);
+            element.appendChild(mark);
+
+            position = range.end;
+        });
+        element.append(text.slice(position));
+    }
+
+    handleEntryAction(button) {
+        const element = button.closest('.transcript-entry');
+        const entry = this.sessionData.find(item => item.id === element.dataset.entryId);
+        if (!entry) return;
+
+        switch (button.dataset.entryAction) {
+            case 'edit':
+                this.startEntryEdit(element);
+                break;
+
+            case 'save':
+                this.saveEntryEdit(entry, element.querySelector('.transcript-edit').value);
+                break;
+
+            case 'split': {
+                const textarea = element.querySelector('.transcript-edit');
+                this.splitEntry(entry, textarea.value, textarea.selectionStart);
+                break;
+            }
+
+            case 'cancel':
+                this.renderTranscript();
+                break;
+
+            case 'merge':
+                this.mergeEntry(entry);
+                break;
+        }
+    }
+
+    startEntryEdit(element) {
+        const entry = this.sessionData.find(item => item.id === element.dataset.entryId);
+        const textDiv = element.querySelector('.transcript-text');
+        if (!entry || !textDiv) return;
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'transcript-edit';
+        textarea.value = entry.text;
+        textarea.rows = Math.min(8, Math.max(2, Math.ceil(entry.text.length / 60)));
+
+        textarea.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                this.saveEntryEdit(entry, textarea.value);
+            }
+            if (event.key === 'Escape') {
+                this.renderTranscript();
+            }
+        });
+
+        const controls = document.createElement('div');
+        controls.className = 'transcript-edit-controls';
+        [['save', 'Save'], ['split', 'Split at cursor'], ['cancel', 'Cancel']].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small';
+            button.dataset.entryAction = action;
+            button.textContent = label;
+            controls.appendChild(button);
+        });
+
+        const actions = element.querySelector('.transcript-actions');
+        if (actions) actions.remove();
+
+        textDiv.replaceWith(textarea);
+        element.appendChild(controls);
+        textarea.focus();
+    }
+
+    async saveEntryEdit(entry, text) {
+        if (this.editor.edit(entry, text)) {
+            await this.saveCurrentSession();
+            this.translatePending();
+        }
+        this.renderTranscript();
+    }
+
+    async splitEntry(entry, text, position) {
+        // Apply what was typed first so the split happens in the corrected text
+        this.editor.edit(entry, text);
+
+        const leadingSpace = text.length - text.trimStart().length;
+        const second = this.editor.split(entry, position - leadingSpace);
+        if (!second) {
+            this.showError('Place the cursor inside the text to split it');
+            return;
+        }
+
+        this.sessionData.splice(this.sessionData.indexOf(entry) + 1, 0, second);
+        await this.saveCurrentSession();
+        this.renderTranscript();
+        this.translatePending();
+    }
+
+    async mergeEntry(entry) {
+        const index = this.sessionData.indexOf(entry);
+        const previous = this.sessionData[index - 1];
+
+        if (!this.editor.canMerge(previous, entry)) {
+            this.showError('Only consecutive entries from the same speaker and source can be merged');
+            return;
+        }
+
+        this.editor.merge(previous, entry);
+        this.sessionData.splice(index, 1);
+        await this.saveCurrentSession();
+        this.renderTranscript();
+        this.translatePending();
+    }
+
+    updateFilterOptions() {
+        const select = document.getElementById('filterLabel');
+        const options = this.search.getLabelOptions(this.sessionData, speaker => this.getSpeakerName(speaker));
+
+        // Keep a selection that is not in this session so the filter doesn't silently change
+        if (this.search.label && !options.some(option => option.value === this.search.label)) {
+            const [type, value] = this.search.splitLabel(this.search.label);
+            options.push({ value: this.search.label, label: type === 'speaker' ? this.getSpeakerName(value) : value });
+        }
+
+        select.length = 1;
+        options.forEach(option => select.add(new Option(option.label, option.value)));
+        select.value = this.search.label;
+    }
+
+    // Collects the highlighted matches, keeping the current one if it is still shown
+    updateSearchMatches() {
+        const display = document.getElementById('transcriptionDisplay');
+        const current = this.searchMatches && this.searchMatches[this.currentMatch];
+
+        this.searchMatches = Array.from(display.querySelectorAll('.transcript-entry:not(.interim) .search-match'));
+        this.currentMatch = current ? this.searchMatches.indexOf(current) : -1;
+        this.updateSearchCount();
+    }
+
+    moveToMatch(direction) {
+        if (!this.searchMatches || this.searchMatches.length === 0) return;
+
+        const previous = this.searchMatches[this.currentMatch];
+        if (previous) previous.classList.remove('current');
+
+        const count = this.searchMatches.length;
+        this.currentMatch = this.currentMatch === -1
+            ? (direction > 0 ? 0 : count - 1)
+            : (this.currentMatch + direction + count) % count;
+
+        const match = this.searchMatches[this.currentMatch];
+        match.classList.add('current');
+        match.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        this.updateSearchCount();
+    }
+
+    updateSearchCount() {
+        const count = document.getElementById('searchCount');
+
+        if (!this.search.query) {
+            count.textContent = '';
+        } else if (this.searchMatches.length === 0) {
+            count.textContent = 'No matches';
+        } else {
+            count.textContent = `${this.currentMatch + 1 || '–'}/${this.searchMatches.length}`;
+        }
+    }
+
+    getSpeakerName(speakerId, session = this.currentSession) {
+        const speakers = session && session.speakers ? session.speakers : {};
+        return speakers[speakerId] || speakerId;
+    }
+
+    // Speaker name for diarized entries, the channel label otherwise
+    getEntryLabel(entry, session = this.currentSession) {
+        return entry.speaker ? this.getSpeakerName(entry.speaker, session) : entry.source;
+    }
+
+    // Subtitles only name who is talking when there is more than one voice to tell apart
+    getCueLabel(entry, session = this.currentSession) {
+        if (entry.speaker) return this.getSpeakerName(entry.speaker, session);
+        return session && session.source === 'both' ? entry.source : null;
+    }
+
+    startSpeakerRename(speakerSpan) {
+        if (!this.currentSession) return;
+
+        const speakerId = speakerSpan.dataset.speaker;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'transcript-speaker-input';
+        input.value = this.getSpeakerName(speakerId);
+
+        let finished = false;
+        const finish = async (save) => {
+            if (finished) return;
+            finished = true;
+
+            const name = input.value.trim();
+            if (save && name) {
+                if (!this.currentSession.speakers) {
+                    this.currentSession.speakers = {};
+                }
+                this.currentSession.speakers[speakerId] = name;
+            }
+
+            // Update in place so interim text shown while recording is kept
+            speakerSpan.textContent = this.getSpeakerName(speakerId);
+            input.replaceWith(speakerSpan);
+            document.querySelectorAll('.transcript-speaker').forEach(span => {
+                if (span.dataset.speaker === speakerId) {
+                    span.textContent = speakerSpan.textContent;
+                }
+            });
+
+            if (save && name) {
+                this.updateFilterOptions();
+                await this.saveCurrentSession();
+            }
+        };
+
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') finish(true);
+            if (event.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        speakerSpan.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    formatTimestamp(timestamp, startTime = this.startTime) {
+        if (!startTime) return '';
+        
+        const elapsed = timestamp - startTime;
+        const seconds = Math.floor(elapsed / 1000) % 60;
+        const minutes = Math.floor(elapsed / 60000) % 60;
+        const hours = Math.floor(elapsed / 3600000);
+
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    clearTranscription() {
+        const display = document.getElementById('transcriptionDisplay');
+        display.innerHTML = `
+            <div class="placeholder">
+                <svg width="48" height="48" viewBox="0 0 24 24" fill="currentColor" opacity="0.3">
+                    <path d="M12 14c1.66 0 3-1.34 3-3V5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3z"/>
+                    <path d="M17 11c0 2.76-2.24 5-5 5s-5-2.24-5-5H5c0 3.53 2.61 6.43 6 6.92V21h2v-3.08c3.39-.49 6-3.39 6-6.92h-2z"/>
+                </svg>
+                <p>Start recording to see transcription...</p>
+            </div>
+        `;
+
+        this.currentMatch = -1;
+        this.updateFilterOptions();
+        this.updateSearchMatches();
+    }
+
+    startTimer() {
+        if (this.timerInterval) return;
+        
+        this.timerInterval = setInterval(() => {
+            if (this.startTime && !this.isPaused) {
+                const elapsed = Date.now() - this.startTime;
+                document.getElementById('sessionTimer').textContent = this.formatElapsedTime(elapsed);
+            }
+        }, 1000);
+    }
+
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+
+    formatElapsedTime(milliseconds) {
+        const seconds = Math.floor(milliseconds / 1000) % 60;
+        const minutes = Math.floor(milliseconds / 60000) % 60;
+        const hours = Math.floor(milliseconds / 3600000);
+
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    updateUI() {
+        const startBtn = document.getElementById('startRecording');
+        const stopBtn = document.getElementById('stopRecording');
+        const pauseBtn = document.getElementById('pauseRecording');
+
+        // The language is chosen per session
+        const languageSelect = document.getElementById('languageSelect');
+
+        if (this.isRecording) {
+            languageSelect.disabled = true;
+            startBtn.disabled = true;
+            stopBtn.disabled = false;
+            pauseBtn.disabled = false;
+            pauseBtn.textContent = this.isPaused ? 'Resume' : 'Pause';
+        } else {
+            languageSelect.disabled = false;
+            startBtn.disabled = false;
+            stopBtn.disabled = true;
+            pauseBtn.disabled = true;
+            pauseBtn.textContent = 'Pause';
+        }
+    }
+
+    updateRecordingStatus(status) {
+        const statusElement = document.getElementById('recordingStatus');
+        const statusText = statusElement.querySelector('.text');
+        
+        statusElement.className = `status ${status}`;
+        
+        switch (status) {
+            case 'recording':
+                statusText.textContent = 'Recording';
+                break;
+            case 'paused':
+                statusText.textContent = 'Paused';
+                break;
+            case 'inactive':
+                statusText.textContent = 'Inactive';
+                break;
+        }
+    }
+
+    async updateConnectionStatus() {
+        const provider = this.getSelectedProvider();
+        const storedSettings = await chrome.storage.sync.get(provider.getStorageKeys());
+        const missing = provider.getMissingSettings(provider.resolveConfig(storedSettings));
+        
+        const statusElement = document.getElementById('connectionStatus');
+        const statusText = statusElement.querySelector('.text');
+        
+        // Only a successful connection test reports "Connected"
+        if (missing.length === 0) {
+            statusElement.className = 'status';
+            statusText.textContent = 'Configured';
+        } else {
+            statusElement.className = 'status offline';
+            statusText.textContent = missing.some(setting => setting.key === 'api_key') ? 'No API Key' : 'Not Configured';
+        }
+    }
+
+    handleConnectivityChange(online) {
+        this.updateBufferStatus();
+
+        // Wake the background up so it drains the buffer right away
+        chrome.runtime.sendMessage({ type: 'connectivityChanged', online }).catch(() => {
+            // Background will also pick the chunks up on its next alarm
+        });
+    }
+
+    updateBufferStatus() {
+        const statusElement = document.getElementById('bufferStatus');
+        const statusText = statusElement.querySelector('.text');
+        const count = this.bufferedChunkCount;
+        const chunks = `${count} chunk${count === 1 ? '' : 's'}`;
+
+        if (!navigator.onLine) {
+            statusElement.className = 'status offline';
+            statusText.textContent = `Offline – ${chunks} buffered`;
+        } else if (count > 0) {
+            statusElement.className = 'status syncing';
+            statusText.textContent = `Syncing ${chunks}`;
+        } else {
+            statusElement.className = 'status hidden';
+        }
+    }
+
+    async testConnection() {
+        const provider = this.getSelectedProvider();
+        const button = document.getElementById('testConnection');
+        const statusElement = document.getElementById('connectionStatus');
+        const statusText = statusElement.querySelector('.text');
+
+        button.disabled = true;
+        statusElement.className = 'status syncing';
+        statusText.textContent = 'Testing...';
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'testConnection', provider: provider.id });
+
+            if (response && response.connected) {
+                statusElement.className = 'status online';
+                statusText.textContent = 'Connected';
+                this.showSuccess(`Connected to ${provider.name}`);
+            } else {
+                statusElement.className = 'status offline';
+                statusText.textContent = 'Connection Failed';
+                this.showError(`Connection test failed: ${response ? response.error : 'no response'}`);
+            }
+        } catch (error) {
+            statusElement.className = 'status offline';
+            statusText.textContent = 'Connection Failed';
+            this.showError('Connection test failed: ' + error.message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async copyToClipboard(format = document.getElementById('exportFormat').value) {
+        try {
+            if (format === 'html' || format === 'docx') {
+                // Copied as rich text so the formatting survives pasting into a document;
+                // editors that only take plain text get the HTML source or the Markdown
+                const markdown = this.renderMarkdown();
+                const html = this.exporter.blocksToHtml(this.exporter.parseMarkdown(markdown));
+                const plain = format === 'html' ? this.buildExport('html').content : markdown;
+
+                await navigator.clipboard.write([new ClipboardItem({
+                    'text/html': new Blob([html], { type: 'text/html' }),
+                    'text/plain': new Blob([plain], { type: 'text/plain' })
+                })]);
+            } else {
+                await navigator.clipboard.writeText(this.buildExport(format).content);
+            }
+
+            this.showSuccess('Transcript copied to clipboard');
+        } catch (error) {
+            this.showError('Failed to copy to clipboard');
+        }
+    }
+
+    downloadTranscript(format = document.getElementById('exportFormat').value, session = this.currentSession) {
+        const { content, mimeType } = this.buildExport(format, session);
+        const startTime = session ? session.startTime : this.startTime;
+        const date = new Date(startTime || Date.now()).toISOString().split('T')[0];
+
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `transcript_${date}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // Returns { content, mimeType } for a session in the given format; content is a Blob for DOCX
+    buildExport(format, session = this.currentSession) {
+        const entries = session ? session.entries : this.sessionData;
+        const startTime = session ? session.startTime : this.startTime;
+        const endTime = session && session.endTime ? session.endTime : Date.now();
+
+        switch (format) {
+            case 'md':
+                return { content: this.renderMarkdown(session), mimeType: 'text/markdown' };
+
+            case 'html': {
+                const blocks = this.exporter.parseMarkdown(this.renderMarkdown(session));
+                return { content: this.exporter.toHtml(blocks, this.getExportContext(session).title), mimeType: 'text/html' };
+            }
+
+            case 'docx': {
+                const blocks = this.exporter.parseMarkdown(this.renderMarkdown(session));
+                return {
+                    content: DocxWriter.write(blocks, this.getExportContext(session).title),
+                    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+                };
+            }
+
+            case 'json':
+                return {
+                    content: JSON.stringify({
+                        title: session ? session.title : null,
+                        source: session ? session.source : null,
+                        provider: session ? session.provider : null,
+                        tabUrl: session ? session.tabUrl : null,
+                        tabTitle: session ? session.tabTitle : null,
+                        language: session ? session.language || null : null,
+                        stats: session && session.stats ? session.stats : null,
+                        sessionStart: startTime,
+                        sessionEnd: endTime,
+                        speakers: session && session.speakers ? session.speakers : {},
+                        summary: session && session.summary ? session.summary : null,
+                        entries: entries.map(entry => this.getJsonEntry(entry, session))
+                    }, null, 2),
+                    mimeType: 'application/json'
+                };
+
+            case 'srt':
+            case 'vtt': {
+                const cues = this.exporter.getCues(entries, startTime, entry => this.getCueLabel(entry, session));
+                return format === 'srt'
+                    ? { content: this.exporter.toSrt(cues), mimeType: 'application/x-subrip' }
+                    : { content: this.exporter.toVtt(cues), mimeType: 'text/vtt' };
+            }
+
+            default: {
+                // Translations go on their own line under each entry
+                const transcript = this.getTranscriptLines(session)
+                    .map((line, index) => entries[index].translation ? `${line}\n    ${entries[index].translation.text}` : line)
+                    .join('\n');
+                return {
+                    content: session && session.summary
+                        ? `${this.exporter.summaryToText(session.summary)}\n\nTRANSCRIPT\n\n${transcript}`
+                        : transcript,
+                    mimeType: 'text/plain'
+                };
+            }
+        }
+    }
+
+    // Corrected text always; the provider's original text and the edit log only on request
+    getJsonEntry(entry, session) {
+        const { originalText, edits, ...jsonEntry } = entry;
+
+        if (entry.speaker) {
+            jsonEntry.speakerName = this.getSpeakerName(entry.speaker, session);
+        }
+
+        if (document.getElementById('exportOriginals').checked) {
+            jsonEntry.originalText = this.editor.getOriginalText(entry);
+            jsonEntry.edits = edits || [];
+        }
+
+        return jsonEntry;
+    }
+
+    renderMarkdown(session = this.currentSession) {
+        return this.exporter.renderTemplate(this.getExportTemplate() || DEFAULT_EXPORT_TEMPLATE, this.getExportContext(session));
+    }
+
+    // An unchanged template is stored empty so it follows future changes to the default
+    getExportTemplate() {
+        const template = document.getElementById('exportTemplate').value;
+        return template.trim() === DEFAULT_EXPORT_TEMPLATE.trim() ? '' : template;
+    }
+
+    // Values available to the export template
+    getExportContext(session = this.currentSession) {
+        const entries = session ? session.entries : this.sessionData;
+        const startTime = session ? session.startTime : this.startTime;
+        const endTime = session && session.endTime ? session.endTime : Date.now();
+        const providerId = session ? session.provider : document.getElementById('apiSelect').value;
+
+        return {
+            title: session ? session.title : 'Transcript',
+            tabTitle: session ? session.tabTitle || session.tabUrl : '',
+            tabUrl: session ? session.tabUrl : '',
+            date: new Date(startTime || Date.now()).toLocaleString(),
+            duration: startTime ? this.formatElapsedTime(endTime - startTime) : '',
+            provider: providerRegistry.has(providerId) ? providerRegistry.get(providerId).name : providerId,
+            summary: this.exporter.getSummaryContext(session ? session.summary : null),
+            groups: this.exporter.groupEntries(entries, startTime, entry => this.getEntryLabel(entry, session))
+        };
+    }
+
+    // "[hh:mm:ss] Speaker: text" lines, as in the text export and as sent for summaries
+    getTranscriptLines(session = this.currentSession, entries = session ? session.entries : this.sessionData) {
+        const startTime = session ? session.startTime : this.startTime;
+
+        return entries.map(entry =>
+            `[${this.formatTimestamp(entry.timestamp, startTime)}] ${this.getEntryLabel(entry, session)}: ${entry.text}`
+        );
+    }
+
+    resetChat() {
+        this.chat = [];
+        document.getElementById('chatStatus').textContent = '';
+        this.renderChat();
+    }
+
+    async askQuestion() {
+        const input = document.getElementById('chatQuestion');
+        const question = input.value.trim();
+        const session = this.currentSession;
+        if (!question) return;
+
+        if (!session || session.entries.length === 0) {
+            this.showError('There is no transcript to ask about yet');
+            return;
+        }
+
+        const chat = this.chat;
+        const history = chat.map(turn => ({ role: turn.role, text: turn.text }));
+        const lines = this.getTranscriptLines(session);
+        const button = document.getElementById('chatAsk');
+        const status = document.getElementById('chatStatus');
+
+        chat.push({ role: 'user', text: question });
+        input.value = '';
+        button.disabled = true;
+        status.textContent = 'Thinking...';
+        this.renderChat();
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'askTranscript',
+                question,
+                history,
+                segments: session.entries.map((entry, index) => ({ ref: entry.id, line: lines[index] }))
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response ? response.error : 'No response from the background service');
+            }
+
+            // Another session may have been started or opened in the meantime
+            if (this.chat !== chat) return;
+
+            chat.push({ role: 'assistant', text: response.answer, citations: response.citations });
+            status.textContent = '';
+            this.renderChat();
+        } catch (error) {
+            if (this.chat !== chat) return;
+
+            // Keep the history alternating between questions and answers
+            chat.pop();
+            input.value = question;
+            status.textContent = `Question failed: ${error.message}`;
+            this.renderChat();
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Cited line numbers in answers become links showing the entry's time
+    renderChat() {
+        const container = document.getElementById('chatMessages');
+        container.innerHTML = '';
+
+        if (this.chat.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'history-empty';
+            empty.textContent = 'Ask a question, e.g. "What deadline did they mention?"';
+            container.appendChild(empty);
+            return;
+        }
+
+        const session = this.currentSession;
+
+        this.chat.forEach(turn => {
+            const message = document.createElement('div');
+            message.className = `chat-message ${turn.role}`;
+
+            if (turn.role === 'user') {
+                message.textContent = turn.text;
+                container.appendChild(message);
+                return;
+            }
+
+            turn.text.split(/(\[\d+(?:\s*,\s*\d+)*\])/).forEach(part => {
+                const numbers = /^\[[\d,\s]+\]$/.test(part) ? part.slice(1, -1).split(',').map(value => parseInt(value, 10)) : [];
+                const entries = numbers
+                    .map(number => turn.citations[number])
+                    .map(id => session && session.entries.find(entry => entry.id === id))
+                    .filter(Boolean);
+
+                if (entries.length === 0) {
+                    message.appendChild(document.createTextNode(part));
+                    return;
+                }
+
+                entries.forEach(entry => {
+                    const citation = document.createElement('button');
+                    citation.className = 'chat-citation';
+                    citation.dataset.entryId = entry.id;
+                    citation.textContent = this.formatTimestamp(entry.timestamp, session.startTime);
+                    citation.title = entry.text;
+                    message.appendChild(citation);
+                });
+            });
 
-        if (autoScroll) {
-            display.scrollTop = display.scrollHeight;
-        }
+            container.appendChild(message);
+        });
+
+        container.scrollTop = container.scrollHeight;
     }
 
-    createTranscriptEntry(entry, showTimestamps) {
-        const div = document.createElement('div');
-        div.className = 'transcript-entry';
+    // Scrolls the transcript to an entry, clearing search and filters if they hide it
+    scrollToEntry(entryId) {
+        const display = document.getElementById('transcriptionDisplay');
+        let element = display.querySelector(`[data-entry-id="${entryId}"]`);
 
-        if (showTimestamps) {
-            const timestampDiv = document.createElement('div');
-            timestampDiv.className = 'transcript-timestamp';
-            timestampDiv.textContent = this.formatTimestamp(entry.timestamp);
-            div.appendChild(timestampDiv);
+        if (!element && this.sessionData.some(entry => entry.id === entryId)) {
+            ['transcriptSearch', 'filterLabel', 'filterFrom', 'filterTo'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            this.search = new TranscriptSearch();
+            this.renderTranscript();
+            element = display.querySelector(`[data-entry-id="${entryId}"]`);
         }
 
-        const sourceDiv = document.createElement('div');
-        sourceDiv.className = 'transcript-source';
-        sourceDiv.textContent = entry.source;
-        div.appendChild(sourceDiv);
+        if (!element) {
+            this.showError('That part of the transcript is no longer there');
+            return;
+        }
 
-        const textDiv = document.createElement('div');
-        textDiv.className = 'transcript-text';
-        textDiv.textContent = entry.text;
-        div.appendChild(textDiv);
+        element.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        element.classList.add('cited');
+        setTimeout(() => element.classList.remove('cited'), 2000);
+    }
 
-        return div;
+    resetLiveSummary() {
+        clearTimeout(this.liveSummary.retryTimer);
+        this.liveSummary = { points: [], coveredIds: new Set(), pendingResults: 0, isUpdating: false, retryTimer: null };
+
+        document.getElementById('liveSummaryPoints').innerHTML = '';
+        document.getElementById('liveSummaryStatus').textContent = '';
+        this.updateLiveSummaryPane();
     }
 
-    formatTimestamp(timestamp) {
-        if (!this.startTime) return '';
-        
-        const elapsed = timestamp - this.startTime;
-        const seconds = Math.floor(elapsed / 1000) % 60;
-        const minutes = Math.floor(elapsed / 60000) % 60;
-        const hours = Math.floor(elapsed / 3600000);
+    // The pane is shown while recording with live summaries on, and kept after
+    // recording stops until another session is started or opened
+    updateLiveSummaryPane() {
+        const enabled = document.getElementById('liveSummary').checked;
+        const hasSummary = this.liveSummary.points.length > 0;
+        const pane = document.getElementById('liveSummaryPane');
 
-        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        pane.classList.toggle('hidden', !enabled || (!this.isRecording && !hasSummary));
+
+        if (!hasSummary && this.isRecording) {
+            const every = parseInt(document.getElementById('liveSummaryEvery').value) || 3;
+            document.getElementById('liveSummaryStatus').textContent = `Updates every ${every} chunks`;
+        }
     }
 
-    clearTranscription() {
-        const display = document.getElementById('transcriptionDisplay');
-        display.innerHTML = `
-            <div class="placeholder">
-                <svg width="48" height="48" viewBox="0 0 24 24" fill="currentColor" opacity="0.3">
-                    <path d="M12 14c1.66 0 3-1.34 3-3V5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3z"/>
-                    <path d="M17 11c0 2.76-2.24 5-5 5s-5-2.24-5-5H5c0 3.53 2.61 6.43 6 6.92V21h2v-3.08c3.39-.49 6-3.39 6-6.92h-2z"/>
-                </svg>
-                <p>Start recording to see transcription...</p>
-            </div>
-        `;
+    noteLiveSummaryResult() {
+        this.liveSummary.pendingResults++;
+        this.updateLiveSummary();
     }
 
-    startTimer() {
-        if (this.timerInterval) return;
-        
-        this.timerInterval = setInterval(() => {
-            if (this.startTime && !this.isPaused) {
-                const elapsed = Date.now() - this.startTime;
-                document.getElementById('sessionTimer').textContent = this.formatElapsedTime(elapsed);
+    // Folds the entries not yet covered into the running summary once enough new results arrived
+    async updateLiveSummary() {
+        const state = this.liveSummary;
+        const session = this.currentSession;
+        const every = parseInt(document.getElementById('liveSummaryEvery').value) || 3;
+
+        if (!document.getElementById('liveSummary').checked || !this.isRecording || !session) return;
+        if (state.isUpdating || state.retryTimer || state.pendingResults < every) return;
+
+        const entries = this.sessionData.filter(entry => !state.coveredIds.has(entry.id));
+        if (entries.length === 0) return;
+
+        state.isUpdating = true;
+        document.getElementById('liveSummaryStatus').textContent = 'Updating...';
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'updateLiveSummary',
+                title: session.title,
+                points: state.points,
+                lines: this.getTranscriptLines(session, entries)
+            });
+
+            // A new session may have started while the summary was being generated
+            if (this.liveSummary !== state) return;
+
+            if (response && response.success) {
+                state.points = response.points;
+                entries.forEach(entry => state.coveredIds.add(entry.id));
+                state.pendingResults = 0;
+                this.renderLiveSummary();
+            } else if (response && response.skipped) {
+                // The background's own rate limit; try again when it allows
+                state.retryTimer = setTimeout(() => {
+                    state.retryTimer = null;
+                    this.updateLiveSummary();
+                }, response.retryAfter);
+                document.getElementById('liveSummaryStatus').textContent = 'Waiting to update...';
+            } else {
+                document.getElementById('liveSummaryStatus').textContent =
+                    `Update failed: ${response ? response.error : 'no response'}`;
             }
-        }, 1000);
+        } catch (error) {
+            console.error('Failed to update live summary:', error);
+        } finally {
+            state.isUpdating = false;
+        }
     }
 
-    stopTimer() {
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
+    renderLiveSummary() {
+        const list = document.getElementById('liveSummaryPoints');
+        list.innerHTML = '';
+
+        this.liveSummary.points.forEach(point => {
+            const item = document.createElement('li');
+            item.textContent = point;
+            list.appendChild(item);
+        });
+
+        document.getElementById('liveSummaryStatus').textContent = `Updated ${new Date().toLocaleTimeString()}`;
+        this.updateLiveSummaryPane();
+    }
+
+    async summarizeSession() {
+        const session = this.currentSession;
+        if (!session || session.entries.length === 0) {
+            this.showError('There is no transcript to summarize yet');
+            return;
+        }
+
+        const button = document.getElementById('summarizeSession');
+        const status = document.getElementById('summaryStatus');
+        button.disabled = true;
+        status.textContent = 'Summarizing...';
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'summarizeTranscript',
+                title: session.title,
+                lines: this.getTranscriptLines(session)
+            });
+
+            if (!response || !response.success) {
+                throw new Error(response ? response.error : 'No response from the background service');
+            }
+
+            session.summary = response.summary;
+            await this.store.saveSession(session);
+
+            // Another session may have been opened in the meantime
+            if (this.currentSession === session) {
+                this.renderSummary(session.summary);
+            }
+            status.textContent = '';
+        } catch (error) {
+            status.textContent = `Summary failed: ${error.message}`;
+        } finally {
+            button.disabled = false;
         }
     }
 
-    formatElapsedTime(milliseconds) {
-        const seconds = Math.floor(milliseconds / 1000) % 60;
-        const minutes = Math.floor(milliseconds / 60000) % 60;
-        const hours = Math.floor(milliseconds / 3600000);
+    renderSummary(summary) {
+        const display = document.getElementById('summaryDisplay');
+        display.innerHTML = '';
+        document.getElementById('summaryStatus').textContent = '';
 
-        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        if (!summary) {
+            const empty = document.createElement('p');
+            empty.className = 'history-empty';
+            empty.textContent = 'No summary yet';
+            display.appendChild(empty);
+            return;
+        }
+
+        const overview = document.createElement('p');
+        overview.textContent = summary.overview;
+        display.appendChild(overview);
+
+        const sections = [
+            ['Key points', summary.keyPoints.map(text => [text])],
+            ['Decisions', summary.decisions.map(text => [text])],
+            ['Action items', summary.actionItems.map(item => [item.task, item.owner || 'Unassigned'])],
+            ['Open questions', summary.openQuestions.map(text => [text])]
+        ];
+
+        sections.forEach(([title, items]) => {
+            if (items.length === 0) return;
+
+            const heading = document.createElement('h4');
+            heading.textContent = title;
+            display.appendChild(heading);
+
+            const list = document.createElement('ul');
+            items.forEach(([text, owner]) => {
+                const item = document.createElement('li');
+                if (owner) {
+                    const ownerSpan = document.createElement('span');
+                    ownerSpan.className = 'summary-owner';
+                    ownerSpan.textContent = `${owner}: `;
+                    item.appendChild(ownerSpan);
+                }
+                item.append(text);
+                list.appendChild(item);
+            });
+            display.appendChild(list);
+        });
+
+        const meta = document.createElement('p');
+        meta.className = 'history-empty';
+        meta.textContent = `Generated ${new Date(summary.generatedAt).toLocaleString()} with ${summary.model}`;
+        display.appendChild(meta);
     }
 
-    updateUI() {
-        const startBtn = document.getElementById('startRecording');
-        const stopBtn = document.getElementById('stopRecording');
-        const pauseBtn = document.getElementById('pauseRecording');
+    async createSession(sourceType) {
+        const tab = await this.getCurrentTab();
 
-        if (this.isRecording) {
-            startBtn.disabled = true;
-            stopBtn.disabled = false;
-            pauseBtn.disabled = false;
-            pauseBtn.textContent = this.isPaused ? 'Resume' : 'Pause';
-        } else {
-            startBtn.disabled = false;
-            stopBtn.disabled = true;
-            pauseBtn.disabled = true;
-            pauseBtn.textContent = 'Pause';
+        this.currentSession = {
+            id: crypto.randomUUID(),
+            title: (tab && tab.title) || `Session ${new Date(this.startTime).toLocaleString()}`,
+            startTime: this.startTime,
+            endTime: null,
+            source: sourceType,
+            provider: document.getElementById('apiSelect').value,
+            tabUrl: tab ? tab.url : '',
+            tabTitle: tab ? tab.title : '',
+            // Empty when the provider detects the language
+            language: document.getElementById('languageSelect').value,
+            speakers: {},
+            // Batch chunks sent for transcription and silent chunks skipped; silence in ms
+            stats: { chunksSent: 0, chunksSkipped: 0, silenceSkipped: 0 },
+            entries: this.sessionData
+        };
+
+        this.speakerTracker = new SpeakerTracker(this.currentSession.speakers);
+        this.renderSummary(null);
+        this.resetLiveSummary();
+        this.resetChat();
+        this.updateSessionStats();
+
+        document.getElementById('transcriptTitle').textContent = 'Live Transcription';
+        await this.saveCurrentSession();
+        await this.refreshHistory();
+    }
+
+    async saveCurrentSession() {
+        if (!this.currentSession) return;
+
+        try {
+            await this.store.saveSession(this.currentSession);
+        } catch (error) {
+            console.error('Failed to save session:', error);
+            this.showError('Failed to save session: ' + error.message);
         }
     }
 
-    updateRecordingStatus(status) {
-        const statusElement = document.getElementById('recordingStatus');
-        const statusText = statusElement.querySelector('.text');
-        
-        statusElement.className = `status ${status}`;
-        
-        switch (status) {
-            case 'recording':
-                statusText.textContent = 'Recording';
-                break;
-            case 'paused':
-                statusText.textContent = 'Paused';
-                break;
-            case 'inactive':
-                statusText.textContent = 'Inactive';
-                break;
+    async refreshHistory() {
+        const list = document.getElementById('historyList');
+
+        let sessions;
+        try {
+            sessions = await this.store.listSessions();
+        } catch (error) {
+            console.error('Failed to load session history:', error);
+            this.showError('Failed to load session history: ' + error.message);
+            return;
+        }
+
+        list.innerHTML = '';
+
+        if (sessions.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'history-empty';
+            empty.textContent = 'No saved sessions yet';
+            list.appendChild(empty);
+            return;
         }
+
+        sessions.forEach(session => list.appendChild(this.createHistoryItem(session)));
     }
 
-    async updateConnectionStatus() {
-        const apiProvider = document.getElementById('apiSelect').value;
-        const apiKey = await chrome.storage.sync.get(`${apiProvider}_api_key`);
-        
-        const statusElement = document.getElementById('connectionStatus');
-        const statusText = statusElement.querySelector('.text');
-        
-        if (apiKey[`${apiProvider}_api_key`]) {
-            statusElement.className = 'status online';
-            statusText.textContent = 'Connected';
+    createHistoryItem(session) {
+        const item = document.createElement('div');
+        item.className = 'history-item';
+        item.dataset.sessionId = session.id;
+
+        if (this.currentSession && this.currentSession.id === session.id) {
+            item.classList.add('active');
+        }
+
+        const info = document.createElement('div');
+        info.className = 'history-info';
+
+        const title = document.createElement('div');
+        title.className = 'history-title';
+        title.textContent = session.title;
+        info.appendChild(title);
+
+        const duration = session.endTime ? this.formatElapsedTime(session.endTime - session.startTime) : 'In progress';
+        const meta = document.createElement('div');
+        meta.className = 'history-meta';
+        meta.textContent = `${new Date(session.startTime).toLocaleString()} · ${duration} · ${session.entries.length} entries · ${session.provider}`;
+        info.appendChild(meta);
+
+        item.appendChild(info);
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+
+        [
+            ['open', 'Open'],
+            ['rename', 'Rename'],
+            ['export', 'Export'],
+            ['delete', 'Delete']
+        ].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small';
+            button.dataset.action = action;
+            button.textContent = label;
+            actions.appendChild(button);
+        });
+
+        item.appendChild(actions);
+        return item;
+    }
+
+    async handleHistoryAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const sessionId = button.closest('.history-item').dataset.sessionId;
+        const isLiveSession = this.isRecording && this.currentSession && this.currentSession.id === sessionId;
+
+        try {
+            switch (button.dataset.action) {
+                case 'open':
+                    await this.openSession(sessionId);
+                    break;
+
+                case 'rename':
+                    this.startRename(button.closest('.history-item'));
+                    break;
+
+                case 'export': {
+                    const session = isLiveSession ? this.currentSession : await this.store.getSession(sessionId);
+                    this.downloadTranscript(document.getElementById('exportFormat').value, session);
+                    break;
+                }
+
+                case 'delete':
+                    if (isLiveSession) {
+                        this.showError('Stop recording before deleting the current session');
+                        return;
+                    }
+
+                    // Require a second click to confirm deletion
+                    if (!button.classList.contains('confirm')) {
+                        button.classList.add('confirm');
+                        button.textContent = 'Confirm';
+                        setTimeout(() => {
+                            button.classList.remove('confirm');
+                            button.textContent = 'Delete';
+                        }, 3000);
+                        return;
+                    }
+
+                    await this.store.deleteSession(sessionId);
+                    if (this.currentSession && this.currentSession.id === sessionId) {
+                        this.currentSession = null;
+                        this.speakerTracker = null;
+                    }
+                    await this.refreshHistory();
+                    break;
+            }
+        } catch (error) {
+            console.error('Session history action failed:', error);
+            this.showError('Session history action failed: ' + error.message);
+        }
+    }
+
+    async openSession(sessionId) {
+        if (this.isRecording) {
+            this.showError('Stop recording before opening a past session');
+            return;
+        }
+
+        const session = await this.store.getSession(sessionId);
+        if (!session) {
+            this.showError('Session not found');
+            await this.refreshHistory();
+            return;
+        }
+
+        this.currentSession = session;
+        this.sessionData = session.entries;
+        this.startTime = session.startTime;
+        // Late retried results for this session continue its own speaker labels
+        if (!session.speakers) {
+            session.speakers = {};
+        }
+        this.speakerTracker = new SpeakerTracker(session.speakers);
+
+        document.getElementById('transcriptTitle').textContent = session.title;
+        document.getElementById('sessionTimer').textContent = this.formatElapsedTime((session.endTime || session.startTime) - session.startTime);
+
+        this.renderTranscript();
+        this.renderSummary(session.summary);
+        this.resetLiveSummary();
+        this.resetChat();
+        this.translatePending();
+        this.updateSessionStats();
+        await this.refreshHistory();
+    }
+
+    startRename(item) {
+        const title = item.querySelector('.history-title');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'setting-input history-rename';
+        input.value = title.textContent;
+
+        let finished = false;
+        const finish = async (save) => {
+            if (finished) return;
+            finished = true;
+
+            const newTitle = input.value.trim();
+            if (save && newTitle && newTitle !== title.textContent) {
+                await this.renameSession(item.dataset.sessionId, newTitle);
+            } else {
+                input.replaceWith(title);
+            }
+        };
+
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') finish(true);
+            if (event.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        title.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    async renameSession(sessionId, title) {
+        if (this.currentSession && this.currentSession.id === sessionId) {
+            this.currentSession.title = title;
+            await this.saveCurrentSession();
+
+            if (!this.isRecording) {
+                document.getElementById('transcriptTitle').textContent = title;
+            }
         } else {
-            statusElement.className = 'status offline';
-            statusText.textContent = 'No API Key';
+            await this.store.renameSession(sessionId, title);
         }
+
+        await this.refreshHistory();
     }
 
-    async copyToClipboard() {
-        const text = this.sessionData.map(entry => `${entry.source}: ${entry.text}`).join('\n');
-        
+    renderTranscript() {
+        const showTimestamps = document.getElementById('showTimestamps').checked;
+        const display = document.getElementById('transcriptionDisplay');
+
+        if (this.sessionData.length === 0) {
+            this.clearTranscription();
+            return;
+        }
+
+        // Text still being streamed is kept below the re-rendered entries
+        const interimElements = Array.from(display.querySelectorAll('.transcript-entry.interim'));
+        const entries = this.sessionData.filter(entry => this.search.matches(entry, this.startTime));
+
+        display.innerHTML = '';
+        entries.forEach(entry => {
+            display.appendChild(this.createTranscriptEntry(entry, showTimestamps));
+        });
+
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'placeholder';
+            empty.textContent = 'No entries match the search and filters';
+            display.appendChild(empty);
+        }
+        interimElements.forEach(element => display.appendChild(element));
+
+        this.currentMatch = -1;
+        this.updateFilterOptions();
+        this.updateSearchMatches();
+        // Corrections and renamed speakers show in the captions too
+        this.updateCaptionOverlay();
+    }
+
+    async loadRetryQueue() {
         try {
-            await navigator.clipboard.writeText(text);
-            this.showSuccess('Transcript copied to clipboard');
+            const response = await chrome.runtime.sendMessage({ type: 'getRetryQueue' });
+            if (response && response.success) {
+                this.renderRetryQueue(response.items);
+            }
         } catch (error) {
-            this.showError('Failed to copy to clipboard');
+            console.error('Failed to load retry queue:', error);
         }
     }
 
-    downloadTranscript(format) {
-        let content, filename, mimeType;
+    renderRetryQueue(items) {
+        this.bufferedChunkCount = items.filter(item => item.status === 'buffered').length;
+        this.updateBufferStatus();
 
-        if (format === 'txt') {
-            content = this.sessionData.map(entry => 
-                `[${this.formatTimestamp(entry.timestamp)}] ${entry.source}: ${entry.text}`
-            ).join('\n');
-            filename = `transcript_${new Date().toISOString().split('T')[0]}.txt`;
-            mimeType = 'text/plain';
-        } else if (format === 'json') {
-            content = JSON.stringify({
-                sessionStart: this.startTime,
-                sessionEnd: Date.now(),
-                entries: this.sessionData
-            }, null, 2);
-            filename = `transcript_${new Date().toISOString().split('T')[0]}.json`;
-            mimeType = 'application/json';
+        const list = document.getElementById('retryQueueList');
+        document.getElementById('retryQueueCount').textContent = items.length;
+
+        list.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'history-empty';
+            empty.textContent = 'No chunks waiting for transcription';
+            list.appendChild(empty);
+            return;
         }
 
-        const blob = new Blob([content], { type: mimeType });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        items.forEach(item => list.appendChild(this.createRetryItem(item)));
+    }
+
+    createRetryItem(item) {
+        const div = document.createElement('div');
+        div.className = `retry-item ${item.status}`;
+        div.dataset.chunkId = item.id;
+
+        const header = document.createElement('div');
+        header.className = 'retry-header';
+
+        const time = document.createElement('span');
+        time.className = 'retry-time';
+        time.textContent = new Date(item.timestamp).toLocaleTimeString();
+        header.appendChild(time);
+
+        const status = document.createElement('span');
+        status.className = 'retry-status';
+        status.textContent = `${item.status} (${item.retryCount}/${item.maxRetries})`;
+        header.appendChild(status);
+
+        div.appendChild(header);
+
+        if (item.lastError) {
+            const error = document.createElement('div');
+            error.className = 'retry-error';
+            error.textContent = item.lastError;
+            error.title = item.lastError;
+            div.appendChild(error);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'history-actions';
+
+        [['retry', 'Retry now'], ['discard', 'Discard']].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-small';
+            button.dataset.action = action;
+            button.textContent = label;
+            button.disabled = item.status === 'retrying';
+            actions.appendChild(button);
+        });
+
+        div.appendChild(actions);
+        return div;
+    }
+
+    async handleRetryAction(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const id = button.closest('.retry-item').dataset.chunkId;
+        const type = button.dataset.action === 'retry' ? 'retryChunk' : 'discardChunk';
+
+        try {
+            await chrome.runtime.sendMessage({ type, id });
+        } catch (error) {
+            this.showError('Failed to update retry queue: ' + error.message);
+        }
     }
 
     showError(message) {
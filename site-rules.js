@@ -0,0 +1,57 @@
+// Per-site presets. A rule maps a URL pattern to the settings to use on matching
+// tabs: source, provider, language, chunk size, whether playback starts recording
+// and which format to download when recording stops. Fields left null keep the
+// current setting. Rules are checked in order and the first match applies.
+
+class SiteRules {
+    constructor(rules = []) {
+        this.rules = rules;
+    }
+
+    static createRule(pattern = '') {
+        return {
+            id: crypto.randomUUID(),
+            pattern,
+            sourceType: null,
+            provider: null,
+            // A language code, or 'auto' for auto-detection
+            language: null,
+            chunkSize: null,
+            autoStart: null,
+            exportFormat: null
+        };
+    }
+
+    // The host of url as a pattern for a new rule, e.g. "meet.google.com"
+    static getSitePattern(url) {
+        try {
+            const { protocol, hostname } = new URL(url);
+            return protocol === 'http:' || protocol === 'https:' ? hostname.replace(/^www\./, '') : '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    find(url) {
+        if (!url) return null;
+        return this.rules.find(rule => SiteRules.matches(rule.pattern, url)) || null;
+    }
+
+    // Patterns are matched against the start of the URL without its scheme and "www.";
+    // * matches anything, so "*.zoom.us/wc" covers every Zoom web client meeting and
+    // "youtube.com/watch" every YouTube video
+    static matches(pattern, url) {
+        const trimmed = (pattern || '').trim().replace(/^[a-z]+:\/\//i, '').replace(/^www\./i, '');
+        if (!trimmed) return false;
+
+        const address = url.replace(/^[a-z]+:\/\//i, '').replace(/^www\./i, '');
+        const source = trimmed
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+
+        // A bare host also matches its port, path and query, but not a longer host name
+        const boundary = /[/?#]/.test(trimmed) ? '' : '(?:[/:?#]|$)';
+        return new RegExp(`^${source}${boundary}`, 'i').test(address);
+    }
+}
@@ -0,0 +1,100 @@
+// Maps the speaker labels a provider returns for one chunk of audio onto speakers
+// that stay the same for the whole session. Display names live in the session's
+// `speakers` map so renaming a speaker updates every entry at once.
+
+class SpeakerTracker {
+    constructor(speakers) {
+        this.speakers = speakers;
+        this.count = Object.keys(speakers).length;
+        this.channels = new Map();
+    }
+
+    getChannelState(channelId) {
+        if (!this.channels.has(channelId)) {
+            this.channels.set(channelId, {
+                labels: new Map(),
+                recent: [],
+                lastLabel: null,
+                lastSpeaker: null,
+                lastText: ''
+            });
+        }
+
+        return this.channels.get(channelId);
+    }
+
+    // Sent along with each chunk so providers that can keep labels stable (Gemini)
+    // are told which labels they already used and who spoke last
+    getContext(channelId) {
+        const state = this.getChannelState(channelId);
+
+        return {
+            labels: Array.from(state.labels.keys()),
+            lastLabel: state.lastLabel,
+            lastText: state.lastText.slice(-200)
+        };
+    }
+
+    // scope 'session': the provider's labels mean the same speaker in every chunk.
+    // scope 'chunk': labels are only meaningful within this chunk (Deepgram batch).
+    assign(channelId, segments, { scope = 'chunk', continuesPrevious = false } = {}) {
+        const state = this.getChannelState(channelId);
+        const mapping = new Map();
+
+        if (scope === 'session') {
+            segments.forEach(segment => {
+                if (!mapping.has(segment.speaker)) {
+                    mapping.set(segment.speaker, state.labels.get(segment.speaker) || this.createSpeaker(state, segment.speaker));
+                }
+            });
+        } else {
+            // The chunk starts with the overlap, so its first speaker is most likely whoever
+            // was talking at the end of the previous chunk. Other labels reuse this channel's
+            // known speakers, most recently heard first, before new speakers are created.
+            const available = state.recent.slice();
+
+            if (continuesPrevious && state.lastSpeaker && segments.length > 0) {
+                mapping.set(segments[0].speaker, state.lastSpeaker);
+
+                const index = available.indexOf(state.lastSpeaker);
+                if (index !== -1) {
+                    available.splice(index, 1);
+                }
+            }
+
+            segments.forEach(segment => {
+                if (!mapping.has(segment.speaker)) {
+                    mapping.set(segment.speaker, available.shift() || this.createSpeaker(state, null));
+                }
+            });
+        }
+
+        const mapped = segments.map(segment => ({ ...segment, speaker: mapping.get(segment.speaker) }));
+
+        mapped.forEach(segment => {
+            state.recent = [segment.speaker, ...state.recent.filter(id => id !== segment.speaker)];
+        });
+
+        if (segments.length > 0) {
+            const last = segments.length - 1;
+            state.lastLabel = segments[last].speaker;
+            state.lastSpeaker = mapped[last].speaker;
+            state.lastText = mapped[last].text;
+        }
+
+        return mapped;
+    }
+
+    createSpeaker(state, label) {
+        this.count++;
+
+        const id = `speaker-${this.count}`;
+        this.speakers[id] = `Speaker ${this.count}`;
+
+        if (label) {
+            state.labels.set(label, id);
+        }
+
+        return id;
+    }
+}
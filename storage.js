@@ -0,0 +1,114 @@
+// IndexedDB persistence for transcription sessions and queued audio chunks
+// Shared by the sidepanel and the background service worker (same extension origin)
+
+class TranscriptionDatabase {
+    constructor() {
+        this.dbName = 'audioTranscription';
+        this.version = 2;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('sessions')) {
+                    const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+                    sessions.createIndex('startTime', 'startTime');
+                }
+
+                // Chunks waiting to be (re)transcribed, kept across service worker restarts
+                if (!db.objectStoreNames.contains('chunkQueue')) {
+                    const chunkQueue = db.createObjectStore('chunkQueue', { keyPath: 'id' });
+                    chunkQueue.createIndex('timestamp', 'timestamp');
+                }
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+
+                // Let a newer extension version upgrade the schema from another context
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+
+                resolve(db);
+            };
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    async runRequest(storeName, mode, createRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = createRequest(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async saveSession(session) {
+        await this.runRequest('sessions', 'readwrite', store => store.put(session));
+        return session;
+    }
+
+    async getSession(id) {
+        return await this.runRequest('sessions', 'readonly', store => store.get(id));
+    }
+
+    async listSessions() {
+        const sessions = await this.runRequest('sessions', 'readonly', store => store.getAll());
+
+        // Newest sessions first
+        return sessions.sort((a, b) => b.startTime - a.startTime);
+    }
+
+    async renameSession(id, title) {
+        const session = await this.getSession(id);
+        if (!session) {
+            throw new Error('Session not found');
+        }
+
+        session.title = title;
+        return await this.saveSession(session);
+    }
+
+    async deleteSession(id) {
+        await this.runRequest('sessions', 'readwrite', store => store.delete(id));
+    }
+
+    async saveChunk(chunk) {
+        await this.runRequest('chunkQueue', 'readwrite', store => store.put(chunk));
+        return chunk;
+    }
+
+    async getChunk(id) {
+        return await this.runRequest('chunkQueue', 'readonly', store => store.get(id));
+    }
+
+    async listChunks() {
+        const chunks = await this.runRequest('chunkQueue', 'readonly', store => store.getAll());
+
+        // Oldest audio first so the transcript is rebuilt in order
+        return chunks.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    async deleteChunk(id) {
+        await this.runRequest('chunkQueue', 'readwrite', store => store.delete(id));
+    }
+}
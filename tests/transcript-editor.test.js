@@ -0,0 +1,64 @@
+// Run with: node --test tests/
+// The extension's files are classic scripts, so they are evaluated into this context.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const load = (file, name) => vm.runInThisContext(`${fs.readFileSync(path.join(__dirname, '..', file), 'utf8')}\n;${name}`);
+const TranscriptEditor = load('transcript-editor.js', 'TranscriptEditor');
+const TranscriptExporter = load('transcript-exporter.js', 'TranscriptExporter');
+
+const createEntry = () => ({
+    id: 'entry-1',
+    timestamp: 1000,
+    text: 'hello john smyth',
+    start: 0,
+    end: 1500,
+    timings: [
+        { text: 'hello', start: 0, end: 400 },
+        { text: 'john', start: 500, end: 900 },
+        { text: 'smyth', start: 1000, end: 1500 }
+    ]
+});
+
+test('a corrected entry is exported to SRT with the corrected text', () => {
+    const editor = new TranscriptEditor();
+    const exporter = new TranscriptExporter();
+    const entry = createEntry();
+
+    editor.edit(entry, 'hello John Smith');
+    const srt = exporter.toSrt(exporter.getCues([entry], 0));
+
+    assert.match(srt, /hello John Smith/);
+    assert.doesNotMatch(srt, /smyth/);
+    assert.deepStrictEqual(entry.timings.map(timing => timing.start), [0, 500, 1000]);
+});
+
+test('a correction that changes the word count drops the word timings but keeps the span', () => {
+    const editor = new TranscriptEditor();
+    const exporter = new TranscriptExporter();
+    const entry = createEntry();
+
+    editor.edit(entry, 'hello, this is John Smith');
+    const cues = exporter.getCues([entry], 0);
+
+    assert.deepStrictEqual(entry.timings, []);
+    assert.strictEqual(cues.map(cue => cue.text).join(' '), 'hello, this is John Smith');
+    assert.strictEqual(cues[0].start, 0);
+});
+
+test('splitting an entry whose timings no longer match its text shares the span by length', () => {
+    const editor = new TranscriptEditor();
+    const entry = createEntry();
+    // Corrected before timings were kept in step with the text
+    entry.text = 'hello there John Smith';
+
+    const second = editor.split(entry, 'hello there'.length);
+
+    assert.strictEqual(second.text, 'John Smith');
+    assert.deepStrictEqual(entry.timings, []);
+    assert.deepStrictEqual(second.timings, []);
+});
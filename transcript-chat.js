@@ -0,0 +1,159 @@
+// Answers questions about a transcript with a language model (language-models.js).
+// Transcript lines are numbered by their position in the session, and the model
+// cites those numbers; the sidepanel turns them into links to the entries. Long
+// transcripts do not fit in one request, so only the lines most relevant to the
+// question are sent, each with a few neighbouring lines for context.
+
+const CHAT_STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'was', 'were', 'did', 'does', 'what', 'when', 'where', 'who', 'whom', 'why',
+    'how', 'which', 'that', 'this', 'these', 'those', 'they', 'them', 'their', 'there', 'then', 'than', 'with',
+    'about', 'from', 'into', 'have', 'has', 'had', 'you', 'your', 'our', 'can', 'could', 'would', 'should',
+    'will', 'any', 'all', 'say', 'said', 'tell', 'mention', 'mentioned', 'talk', 'talked', 'discuss', 'discussed'
+]);
+
+class TranscriptChat {
+    constructor(languageModel, config, options = {}) {
+        this.languageModel = languageModel;
+        this.config = config;
+        this.maxContextLength = options.maxContextLength || 12000;
+        // Lines sent on each side of a relevant line
+        this.contextLines = options.contextLines || 2;
+        this.maxHistoryTurns = options.maxHistoryTurns || 6;
+    }
+
+    // segments: the transcript in order as [{ ref, line }], line being "[hh:mm:ss] Speaker: text"
+    // history: earlier turns as [{ role: 'user' | 'assistant', text }]
+    // Returns { answer, citations } where citations maps each cited line number to its ref
+    async ask(question, segments, history = []) {
+        if (!question.trim()) {
+            throw new Error('The question is empty');
+        }
+        if (segments.length === 0) {
+            throw new Error('The transcript is empty');
+        }
+
+        const recentHistory = history.slice(-this.maxHistoryTurns);
+
+        // Follow-up questions ("and who owns it?") lean on the earlier questions for retrieval
+        const query = [...recentHistory.filter(turn => turn.role === 'user').map(turn => turn.text), question].join(' ');
+        const excerpt = this.formatExcerpt(segments, this.retrieve(query, segments));
+
+        const answer = await this.languageModel.generate({
+            system: this.getSystemPrompt(),
+            prompt: `Transcript excerpts:\n${excerpt}\n\nQuestion: ${question}`,
+            history: recentHistory
+        }, this.config);
+
+        return { answer, citations: this.getCitations(answer, segments) };
+    }
+
+    // Indexes of the segments to send, in transcript order
+    retrieve(query, segments) {
+        const totalLength = segments.reduce((sum, segment) => sum + segment.line.length + 1, 0);
+        if (totalLength <= this.maxContextLength) {
+            return segments.map((segment, index) => index);
+        }
+
+        const terms = this.tokenize(query);
+        const segmentTerms = segments.map(segment => new Set(this.tokenize(segment.line)));
+
+        // Rare terms say more about where the answer is than common ones
+        const weights = new Map(terms.map(term => {
+            const frequency = segmentTerms.filter(words => this.containsTerm(words, term)).length;
+            return [term, frequency > 0 ? Math.log(1 + segments.length / frequency) : 0];
+        }));
+
+        const ranked = segments
+            .map((segment, index) => ({
+                index,
+                score: terms.reduce((sum, term) => sum + (this.containsTerm(segmentTerms[index], term) ? weights.get(term) : 0), 0)
+            }))
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score || a.index - b.index);
+
+        // Nothing matched, e.g. "what was this about?": sample the whole transcript evenly
+        if (ranked.length === 0) {
+            const step = totalLength * (2 * this.contextLines + 1) / this.maxContextLength;
+            for (let position = 0; position < segments.length; position += step) {
+                ranked.push({ index: Math.floor(position) });
+            }
+        }
+
+        const selected = new Set();
+        let length = 0;
+
+        for (const { index } of ranked) {
+            const from = Math.max(0, index - this.contextLines);
+            const to = Math.min(segments.length - 1, index + this.contextLines);
+
+            for (let i = from; i <= to; i++) {
+                if (selected.has(i)) continue;
+                if (length + segments[i].line.length + 1 > this.maxContextLength) {
+                    return Array.from(selected).sort((a, b) => a - b);
+                }
+
+                selected.add(i);
+                length += segments[i].line.length + 1;
+            }
+        }
+
+        return Array.from(selected).sort((a, b) => a - b);
+    }
+
+    tokenize(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(word => word.length > 2 && !CHAT_STOP_WORDS.has(word));
+    }
+
+    // Matches word forms too: "deadline" finds "deadlines", "decide" finds "decided"
+    containsTerm(words, term) {
+        if (words.has(term)) return true;
+        if (term.length < 4) return false;
+
+        for (const word of words) {
+            if (word.length >= 4 && (word.startsWith(term) || term.startsWith(word))) return true;
+        }
+        return false;
+    }
+
+    // Numbered lines, with "..." where lines were left out
+    formatExcerpt(segments, indexes) {
+        const lines = [];
+
+        indexes.forEach((index, position) => {
+            if (position === 0 ? index > 0 : index > indexes[position - 1] + 1) {
+                lines.push('...');
+            }
+            lines.push(`[${index + 1}] ${segments[index].line}`);
+        });
+
+        if (indexes.length > 0 && indexes[indexes.length - 1] < segments.length - 1) {
+            lines.push('...');
+        }
+
+        return lines.join('\n');
+    }
+
+    // Cited line numbers such as [12] or [12, 14] that refer to actual lines
+    getCitations(answer, segments) {
+        const citations = {};
+
+        (answer.match(/\[\d+(?:\s*,\s*\d+)*\]/g) || []).forEach(marker => {
+            marker.slice(1, -1).split(',').forEach(value => {
+                const number = parseInt(value, 10);
+                if (number >= 1 && number <= segments.length) {
+                    citations[number] = segments[number - 1].ref;
+                }
+            });
+        });
+
+        return citations;
+    }
+
+    getSystemPrompt() {
+        return 'You answer questions about the transcript of a meeting, call or video. Only use information from the ' +
+            'transcript excerpts; if they do not contain the answer, say so instead of guessing. Each transcript line ' +
+            'starts with its number in square brackets. After every statement, cite the lines it is based on by their ' +
+            'numbers in square brackets, e.g. [12] or [12, 14]. Keep answers short and answer in the language of the question.';
+    }
+}
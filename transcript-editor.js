@@ -0,0 +1,149 @@
+// Corrections to transcript entries. The first change to an entry keeps the
+// provider's text in originalText and every change is appended to the entry's
+// edits log, so corrected transcripts can be compared with what the provider
+// returned. Splitting and merging keep the originals in order: joined together,
+// the originalText of a session's entries is still the machine transcript.
+// Any change drops the entry's translation, which no longer matches its text.
+// Word timings follow the corrected text: they keep their times when the word
+// count is unchanged and are dropped otherwise, the entry keeping its span.
+
+class TranscriptEditor {
+    edit(entry, text) {
+        const newText = text.trim();
+        if (!newText || newText === entry.text) return false;
+
+        this.record(entry, { type: 'edit', before: entry.text, after: newText });
+        entry.timings = this.alignTimings(entry, newText);
+        entry.text = newText;
+        entry.translation = null;
+        return true;
+    }
+
+    // The entry's timings carrying the words of text, or [] when they can't be matched up
+    alignTimings(entry, text) {
+        if (!this.hasAlignedTimings(entry)) return [];
+
+        const words = this.getWords(text);
+        if (words.length !== this.getWords(entry.text).length) return [];
+
+        let position = 0;
+        return entry.timings.map(timing => {
+            const count = this.getWords(timing.text).length;
+            const timingWords = words.slice(position, position + count);
+            position += count;
+            return { ...timing, text: timingWords.join(' ') };
+        });
+    }
+
+    // Timings that cover the entry's text word for word; entries corrected before
+    // timings were kept in step may still hold the provider's words
+    hasAlignedTimings(entry) {
+        const timings = entry.timings || [];
+        if (timings.length === 0) return false;
+
+        const timedWords = timings.reduce((sum, timing) => sum + this.getWords(timing.text).length, 0);
+        return timedWords === this.getWords(entry.text).length;
+    }
+
+    getWords(text) {
+        return text.split(/\s+/).filter(Boolean);
+    }
+
+    // Splits entry at a character position of its text; returns the new second entry
+    split(entry, position) {
+        const firstText = entry.text.slice(0, position).trim();
+        const secondText = entry.text.slice(position).trim();
+        if (!firstText || !secondText) return null;
+
+        this.record(entry, { type: 'split', before: entry.text, after: firstText });
+
+        // Timed words go to the part they were spoken in; without them the span is shared by length
+        const firstWords = this.getWords(firstText).length;
+        const timings = this.hasAlignedTimings(entry) ? entry.timings : [];
+        let wordCount = 0;
+        const firstTimings = timings.filter(timing => {
+            wordCount += this.getWords(timing.text).length;
+            return wordCount <= firstWords;
+        });
+        const secondTimings = timings.slice(firstTimings.length);
+
+        let splitAt = null;
+        if (this.hasTiming(entry)) {
+            splitAt = secondTimings.length > 0
+                ? secondTimings[0].start
+                : Math.round(entry.start + (entry.end - entry.start) * firstText.length / entry.text.length);
+        }
+
+        const second = {
+            ...entry,
+            id: crypto.randomUUID(),
+            // Keep the second part right after the first when ordering by timestamp
+            timestamp: entry.timestamp + 1,
+            text: secondText,
+            start: splitAt,
+            timings: secondTimings,
+            // Only the start of the entry repeated the previous chunk's audio
+            hasOverlap: false,
+            media: entry.media && splitAt !== null
+                ? { ...entry.media, time: Math.round((entry.media.time + (splitAt - entry.start) / 1000 * entry.media.rate) * 10) / 10 }
+                : entry.media || null,
+            originalText: '',
+            edits: [{ type: 'split', at: Date.now(), from: entry.id, after: secondText }],
+            translation: null
+        };
+
+        entry.text = firstText;
+        entry.translation = null;
+        entry.end = splitAt;
+        entry.timings = firstTimings;
+        return second;
+    }
+
+    // Appends second to first; second should then be removed from the session
+    merge(first, second) {
+        const original = `${this.getOriginalText(first)} ${this.getOriginalText(second)}`.trim();
+
+        this.record(first, { type: 'merge', before: first.text, after: `${first.text} ${second.text}`, from: second.id });
+
+        // Timings only stay usable if both parts have them
+        const timings = this.hasAlignedTimings(first) && this.hasAlignedTimings(second)
+            ? [...first.timings, ...second.timings]
+            : [];
+
+        first.originalText = original;
+        first.edits = [...first.edits, ...(second.edits || [])].sort((a, b) => a.at - b.at);
+        first.text = `${first.text} ${second.text}`;
+        first.translation = null;
+        if (this.hasTiming(second)) {
+            first.end = second.end;
+        }
+        first.timings = timings;
+    }
+
+    canMerge(first, second) {
+        return !!first && !!second && first.source === second.source && first.speaker === second.speaker;
+    }
+
+    hasTiming(entry) {
+        return entry.start !== null && entry.start !== undefined && entry.end !== null && entry.end !== undefined;
+    }
+
+    getOriginalText(entry) {
+        return entry.originalText !== undefined ? entry.originalText : entry.text;
+    }
+
+    isEdited(entry) {
+        return !!entry.edits && entry.edits.length > 0;
+    }
+
+    record(entry, change) {
+        if (entry.originalText === undefined) {
+            entry.originalText = entry.text;
+        }
+        if (!entry.edits) {
+            entry.edits = [];
+        }
+
+        entry.edits.push({ ...change, at: Date.now() });
+    }
+}
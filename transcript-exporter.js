@@ -0,0 +1,480 @@
+// Turns transcript entries into documents and subtitles.
+//
+// Markdown, HTML and DOCX exports all come from one user-editable template. The
+// template renders to Markdown, which is then converted to HTML or Word blocks.
+// Templates use {{name}} placeholders and {{#name}}...{{/name}} sections: a section
+// repeats for every item of a list (e.g. groups), opens an object's fields (e.g. summary)
+// and is left out when its value is empty.
+//
+// Subtitles cut entries into short cues: along word or segment timings when the
+// provider reported them, otherwise by splitting the text and sharing the entry's
+// span by length. Translated entries give bilingual cues, the translation being
+// shared between an entry's cues by length.
+
+const DEFAULT_EXPORT_TEMPLATE = `# {{title}}
+
+{{#tabUrl}}
+- **Page:** [{{tabTitle}}]({{tabUrl}})
+{{/tabUrl}}
+- **Date:** {{date}}
+- **Duration:** {{duration}}
+- **Provider:** {{provider}}
+
+---
+
+{{#summary}}
+## Summary
+
+{{overview}}
+
+{{#hasKeyPoints}}
+### Key points
+
+{{#keyPoints}}
+- {{text}}
+{{/keyPoints}}
+
+{{/hasKeyPoints}}
+{{#hasDecisions}}
+### Decisions
+
+{{#decisions}}
+- {{text}}
+{{/decisions}}
+
+{{/hasDecisions}}
+{{#hasActionItems}}
+### Action items
+
+{{#actionItems}}
+- **{{owner}}:** {{task}}
+{{/actionItems}}
+
+{{/hasActionItems}}
+{{#hasOpenQuestions}}
+### Open questions
+
+{{#openQuestions}}
+- {{text}}
+{{/openQuestions}}
+
+{{/hasOpenQuestions}}
+---
+
+{{/summary}}
+## Transcript
+
+{{#groups}}
+**{{speaker}}** [{{time}}]{{#mediaLink}} ([▶ {{mediaTime}}]({{mediaLink}})){{/mediaLink}}: {{text}}
+{{#translation}}
+*{{translation}}*
+{{/translation}}
+
+{{/groups}}`;
+
+class TranscriptExporter {
+    constructor(options = {}) {
+        this.maxCueLength = options.maxCueLength || 84;
+        this.maxCueDuration = options.maxCueDuration || 7000;
+        this.minCueDuration = options.minCueDuration || 700;
+        this.msPerCharacter = options.msPerCharacter || 60;
+    }
+
+    // Template values for a session summary (transcript-summarizer.js); lists of
+    // strings become lists of { text } so sections can repeat over them
+    getSummaryContext(summary) {
+        if (!summary) return null;
+
+        const items = list => list.map(text => ({ text }));
+
+        return {
+            overview: summary.overview,
+            keyPoints: items(summary.keyPoints),
+            decisions: items(summary.decisions),
+            actionItems: summary.actionItems.map(item => ({ task: item.task, owner: item.owner || 'Unassigned' })),
+            openQuestions: items(summary.openQuestions),
+            hasKeyPoints: summary.keyPoints.length > 0,
+            hasDecisions: summary.decisions.length > 0,
+            hasActionItems: summary.actionItems.length > 0,
+            hasOpenQuestions: summary.openQuestions.length > 0
+        };
+    }
+
+    summaryToText(summary) {
+        const sections = [['Key points', summary.keyPoints], ['Decisions', summary.decisions]];
+        const lines = ['SUMMARY', '', summary.overview];
+
+        sections.push(['Action items', summary.actionItems.map(item => `${item.owner ? `${item.owner}: ` : ''}${item.task}`)]);
+        sections.push(['Open questions', summary.openQuestions]);
+
+        sections.forEach(([heading, items]) => {
+            if (items.length === 0) return;
+            lines.push('', `${heading}:`, ...items.map(item => `- ${item}`));
+        });
+
+        return lines.join('\n');
+    }
+
+    // Consecutive entries from the same speaker or source are merged into one group
+    groupEntries(entries, startTime, getLabel) {
+        const groups = [];
+
+        entries.forEach(entry => {
+            if (!entry.text) return;
+
+            const label = getLabel(entry);
+            const offset = entry.start !== null && entry.start !== undefined ? entry.start : entry.timestamp - startTime;
+            const last = groups[groups.length - 1];
+
+            const translation = entry.translation ? entry.translation.text : '';
+
+            if (last && last.speaker === label) {
+                last.text += ` ${entry.text}`;
+                last.translation = [last.translation, translation].filter(Boolean).join(' ');
+                return;
+            }
+
+            groups.push({
+                speaker: label,
+                time: this.formatClock(offset),
+                text: entry.text,
+                translation,
+                // Where the group starts in the page's video, linked where the site supports it
+                mediaTime: entry.media ? this.formatClock(entry.media.time * 1000) : '',
+                mediaLink: entry.media ? this.getMediaLink(entry.media.url, entry.media.time) : ''
+            });
+        });
+
+        return groups;
+    }
+
+    // A link that opens the video at seconds: YouTube's t parameter, or a media fragment
+    getMediaLink(url, seconds) {
+        const time = Math.floor(seconds);
+
+        try {
+            const link = new URL(url);
+            if (/(^|\.)(youtube\.com|youtu\.be)$/.test(link.hostname)) {
+                link.searchParams.set('t', `${time}s`);
+            } else {
+                link.hash = `t=${time}`;
+            }
+            return link.toString();
+        } catch (error) {
+            return url;
+        }
+    }
+
+    renderTemplate(template, context) {
+        return template.replace(/\{\{#(\w+)\}\}\n?([\s\S]*?)\{\{\/\1\}\}\n?|\{\{(\w+)\}\}/g, (match, section, body, name) => {
+            if (name) {
+                const value = context[name];
+                return value === undefined || value === null ? '' : String(value);
+            }
+
+            const value = context[section];
+            if (Array.isArray(value)) {
+                return value.map(item => this.renderTemplate(body, { ...context, ...item })).join('');
+            }
+            if (value && typeof value === 'object') {
+                return this.renderTemplate(body, { ...context, ...value });
+            }
+            return value ? this.renderTemplate(body, context) : '';
+        });
+    }
+
+    // Parses the Markdown the templates produce: headings, lists, rules and
+    // paragraphs, with bold, italic and links inside them. Single line breaks are kept.
+    parseMarkdown(markdown) {
+        const blocks = [];
+        let paragraph = null;
+        let list = null;
+
+        markdown.split('\n').forEach(rawLine => {
+            const line = rawLine.trim();
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            const item = line.match(/^[-*+]\s+(.*)$/);
+
+            if (!line) {
+                paragraph = null;
+                list = null;
+            } else if (heading) {
+                blocks.push({ type: 'heading', level: heading[1].length, inlines: this.parseInlines(heading[2]) });
+                paragraph = null;
+                list = null;
+            } else if (/^(-{3,}|\*{3,}|_{3,})$/.test(line)) {
+                blocks.push({ type: 'rule' });
+                paragraph = null;
+                list = null;
+            } else if (item) {
+                if (!list) {
+                    list = { type: 'list', items: [] };
+                    blocks.push(list);
+                }
+                list.items.push(this.parseInlines(item[1]));
+                paragraph = null;
+            } else {
+                if (!paragraph) {
+                    paragraph = { type: 'paragraph', lines: [] };
+                    blocks.push(paragraph);
+                }
+                paragraph.lines.push(this.parseInlines(line));
+                list = null;
+            }
+        });
+
+        return blocks;
+    }
+
+    parseInlines(text) {
+        const inlines = [];
+        const pattern = /\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*(.+?)\*/g;
+        let position = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match.index > position) {
+                inlines.push({ text: text.slice(position, match.index) });
+            }
+
+            if (match[1] !== undefined) {
+                // Only web links; anything else is kept as plain text
+                inlines.push(/^(https?:|mailto:)/i.test(match[2]) ? { text: match[1], href: match[2] } : { text: match[1] });
+            } else if (match[3] !== undefined) {
+                inlines.push({ text: match[3], bold: true });
+            } else {
+                inlines.push({ text: match[4], italic: true });
+            }
+
+            position = pattern.lastIndex;
+        }
+
+        if (position < text.length) {
+            inlines.push({ text: text.slice(position) });
+        }
+
+        return inlines;
+    }
+
+    blocksToHtml(blocks) {
+        const inlinesToHtml = inlines => inlines.map(inline => {
+            let html = this.escapeHtml(inline.text);
+            if (inline.bold) html = `<strong>${html}</strong>`;
+            if (inline.italic) html = `<em>${html}</em>`;
+            if (inline.href) html = `<a href="${this.escapeHtml(inline.href)}">${html}</a>`;
+            return html;
+        }).join('');
+
+        return blocks.map(block => {
+            switch (block.type) {
+                case 'heading':
+                    return `<h${block.level}>${inlinesToHtml(block.inlines)}</h${block.level}>`;
+                case 'list':
+                    return `<ul>\n${block.items.map(item => `  <li>${inlinesToHtml(item)}</li>`).join('\n')}\n</ul>`;
+                case 'rule':
+                    return '<hr>';
+                default:
+                    return `<p>${block.lines.map(inlinesToHtml).join('<br>\n')}</p>`;
+            }
+        }).join('\n');
+    }
+
+    toHtml(blocks, title) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${this.escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 16px; line-height: 1.6; color: #1e293b; }
+h1, h2, h3 { line-height: 1.3; }
+hr { border: none; border-top: 1px solid #e2e8f0; margin: 24px 0; }
+a { color: #1d4ed8; }
+</style>
+</head>
+<body>
+${this.blocksToHtml(blocks)}
+</body>
+</html>
+`;
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Returns [{ start, end, text, translation, label }] in ms from the start of the recording.
+    // getLabel(entry) names the speaker of a cue, or returns null for no label.
+    getCues(entries, startTime, getLabel = () => null) {
+        const cues = [];
+
+        entries.forEach((entry, index) => {
+            if (!entry.text) return;
+
+            const { start, end } = this.getEntrySpan(entries, index, startTime);
+            const label = getLabel(entry);
+            const pieces = this.hasAlignedTimings(entry)
+                ? this.groupTimings(entry.timings)
+                : this.splitText(entry.text, start, end);
+            const translations = entry.translation
+                ? this.splitTranslation(entry.translation.text, pieces.map(piece => piece.text.length))
+                : [];
+
+            pieces.forEach((piece, pieceIndex) => {
+                cues.push({
+                    start: piece.start,
+                    end: Math.max(piece.end, piece.start + this.minCueDuration),
+                    text: piece.text,
+                    translation: translations[pieceIndex] || '',
+                    label
+                });
+            });
+        });
+
+        return cues.sort((a, b) => a.start - b.start);
+    }
+
+    // Sessions recorded before entries carried offsets only have the time the audio was
+    // recorded; they run until the next entry, or as long as the text takes to read
+    getEntrySpan(entries, index, startTime) {
+        const entry = entries[index];
+
+        if (entry.start !== null && entry.start !== undefined && entry.end !== null && entry.end !== undefined) {
+            return { start: entry.start, end: entry.end };
+        }
+
+        const start = Math.max(0, entry.timestamp - startTime);
+        const next = entries[index + 1];
+        const readingTime = entry.text.length * this.msPerCharacter;
+        const end = next ? Math.min(next.timestamp - startTime, start + readingTime) : start + readingTime;
+
+        return { start, end: Math.max(end, start + this.minCueDuration) };
+    }
+
+    // Cue text comes from the timings, so they are only used while they hold the
+    // entry's own (possibly corrected) words
+    hasAlignedTimings(entry) {
+        const countWords = text => text.split(/\s+/).filter(Boolean).length;
+        if (!entry.timings || entry.timings.length === 0) return false;
+
+        return entry.timings.reduce((sum, timing) => sum + countWords(timing.text), 0) === countWords(entry.text);
+    }
+
+    groupTimings(timings) {
+        const pieces = [];
+        let current = null;
+
+        timings.forEach(timing => {
+            const fits = current &&
+                current.text.length + 1 + timing.text.length <= this.maxCueLength &&
+                timing.end - current.start <= this.maxCueDuration;
+
+            if (fits) {
+                current.text += ` ${timing.text}`;
+                current.end = timing.end;
+            } else {
+                current = { text: timing.text, start: timing.start, end: timing.end };
+                pieces.push(current);
+            }
+        });
+
+        return pieces;
+    }
+
+    splitText(text, start, end) {
+        const lines = [];
+        let line = '';
+
+        text.trim().split(/\s+/).forEach(word => {
+            if (line && line.length + 1 + word.length > this.maxCueLength) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+        if (line) lines.push(line);
+
+        const totalLength = lines.reduce((sum, piece) => sum + piece.length, 0) || 1;
+        let position = start;
+
+        return lines.map(piece => {
+            const pieceStart = position;
+            position += (end - start) * piece.length / totalLength;
+            return { text: piece, start: Math.round(pieceStart), end: Math.round(position) };
+        });
+    }
+
+    // Cuts a translation into as many parts as there are lengths, sized like them.
+    // Cuts fall on spaces where the language has them, between characters otherwise.
+    splitTranslation(translation, lengths) {
+        const total = lengths.reduce((sum, length) => sum + length, 0) || 1;
+        const parts = [];
+        let rest = translation.trim();
+        let remaining = total;
+
+        lengths.forEach((length, index) => {
+            if (index === lengths.length - 1) {
+                parts.push(rest);
+                return;
+            }
+
+            let cut = Math.round(rest.length * length / remaining);
+            const space = rest.indexOf(' ', cut);
+            const previousSpace = rest.lastIndexOf(' ', cut);
+            if (space !== -1 || previousSpace !== -1) {
+                cut = previousSpace === -1 || (space !== -1 && space - cut < cut - previousSpace) ? space : previousSpace;
+            }
+
+            parts.push(rest.slice(0, cut).trim());
+            rest = rest.slice(cut).trim();
+            remaining -= length;
+        });
+
+        return parts;
+    }
+
+    toSrt(cues) {
+        return cues.map((cue, index) => [
+            index + 1,
+            `${this.formatTime(cue.start, ',')} --> ${this.formatTime(cue.end, ',')}`,
+            cue.label ? `${cue.label}: ${cue.text}` : cue.text,
+            ...(cue.translation ? [cue.translation] : [])
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    toVtt(cues) {
+        const body = cues.map(cue => [
+            `${this.formatTime(cue.start, '.')} --> ${this.formatTime(cue.end, '.')}`,
+            cue.label ? `<v ${this.escapeVtt(cue.label)}>${this.escapeVtt(cue.text)}` : this.escapeVtt(cue.text),
+            ...(cue.translation ? [this.escapeVtt(cue.translation)] : [])
+        ].join('\n')).join('\n\n');
+
+        return `WEBVTT\n\n${body}\n`;
+    }
+
+    escapeVtt(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    // hh:mm:ss
+    formatClock(ms) {
+        return this.formatTime(ms, '.').slice(0, 8);
+    }
+
+    // hh:mm:ss,mmm for SRT, hh:mm:ss.mmm for WebVTT
+    formatTime(ms, separator) {
+        const total = Math.max(0, Math.round(ms));
+        const hours = Math.floor(total / 3600000);
+        const minutes = Math.floor(total / 60000) % 60;
+        const seconds = Math.floor(total / 1000) % 60;
+        const millis = total % 1000;
+
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+    }
+}
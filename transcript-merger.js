@@ -0,0 +1,149 @@
+// Removes the words repeated at the start of a transcript because consecutive
+// audio chunks overlap. The tail of the previous text is aligned with the head of
+// the new text using fuzzy token matching, since the provider rarely transcribes
+// the overlapping audio exactly the same way twice.
+
+class TranscriptMerger {
+    constructor(options = {}) {
+        this.maxOverlapTokens = options.maxOverlapTokens || 40;
+        this.minOverlapTokens = options.minOverlapTokens || 2;
+        this.lengthTolerance = options.lengthTolerance || 2;
+        this.minTokenSimilarity = options.minTokenSimilarity || 0.75;
+        this.minMatchRatio = options.minMatchRatio || 0.7;
+    }
+
+    // Returns nextText without the words it shares with the end of previousText
+    trimOverlap(previousText, nextText) {
+        const nextWords = (nextText || '').trim().split(/\s+/).filter(Boolean);
+        const previousTokens = this.tokenize(previousText).slice(-this.maxOverlapTokens);
+
+        if (previousTokens.length < this.minOverlapTokens || nextWords.length === 0) {
+            return (nextText || '').trim();
+        }
+
+        const nextTokens = nextWords.slice(0, this.maxOverlapTokens + this.lengthTolerance).map(word => this.normalize(word));
+        const overlap = this.findOverlap(previousTokens, nextTokens);
+
+        return nextWords.slice(overlap).join(' ');
+    }
+
+    // Drops the timings of the first removedWords words, e.g. after trimOverlap().
+    // A segment that was only partly trimmed has its start moved forward in proportion.
+    trimTimings(timings, removedWords) {
+        let remaining = removedWords;
+        const trimmed = [];
+
+        timings.forEach(timing => {
+            const words = timing.text.split(/\s+/).filter(Boolean);
+
+            if (remaining >= words.length) {
+                remaining -= words.length;
+                return;
+            }
+
+            if (remaining > 0) {
+                trimmed.push({
+                    text: words.slice(remaining).join(' '),
+                    start: Math.round(timing.start + (timing.end - timing.start) * remaining / words.length),
+                    end: timing.end
+                });
+                remaining = 0;
+                return;
+            }
+
+            trimmed.push(timing);
+        });
+
+        return trimmed;
+    }
+
+    // Number of leading tokens of nextTokens that repeat the tail of previousTokens
+    findOverlap(previousTokens, nextTokens) {
+        let best = { headLength: 0, matches: 0, ratio: 0 };
+
+        const maxTail = Math.min(previousTokens.length, this.maxOverlapTokens);
+
+        for (let tailLength = this.minOverlapTokens; tailLength <= maxTail; tailLength++) {
+            const tail = previousTokens.slice(-tailLength);
+
+            // The repeated phrase may have gained or lost a few words in the new transcription
+            const minHead = Math.max(this.minOverlapTokens, tailLength - this.lengthTolerance);
+            const maxHead = Math.min(nextTokens.length, tailLength + this.lengthTolerance);
+
+            for (let headLength = minHead; headLength <= maxHead; headLength++) {
+                const head = nextTokens.slice(0, headLength);
+
+                // The head has to start and end where the tail does, otherwise we
+                // would trim words that were never part of the overlap
+                if (!this.tokensMatch(tail[0], head[0]) || !this.tokensMatch(tail[tail.length - 1], head[head.length - 1])) {
+                    continue;
+                }
+
+                const matches = this.countAlignedTokens(tail, head);
+                const ratio = matches / Math.max(tailLength, headLength);
+
+                if (ratio >= this.minMatchRatio && (matches > best.matches || (matches === best.matches && ratio > best.ratio))) {
+                    best = { headLength, matches, ratio };
+                }
+            }
+        }
+
+        return best.headLength;
+    }
+
+    // Longest common subsequence where tokens only need to be similar, not identical
+    countAlignedTokens(a, b) {
+        let previousRow = new Array(b.length + 1).fill(0);
+
+        for (let i = 1; i <= a.length; i++) {
+            const row = new Array(b.length + 1).fill(0);
+
+            for (let j = 1; j <= b.length; j++) {
+                row[j] = this.tokensMatch(a[i - 1], b[j - 1])
+                    ? previousRow[j - 1] + 1
+                    : Math.max(previousRow[j], row[j - 1]);
+            }
+
+            previousRow = row;
+        }
+
+        return previousRow[b.length];
+    }
+
+    tokensMatch(a, b) {
+        if (a === b) return true;
+        if (!a || !b || Math.min(a.length, b.length) < 3) return false;
+
+        const distance = this.editDistance(a, b);
+        return 1 - distance / Math.max(a.length, b.length) >= this.minTokenSimilarity;
+    }
+
+    editDistance(a, b) {
+        let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                row[j] = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost);
+            }
+
+            previousRow = row;
+        }
+
+        return previousRow[b.length];
+    }
+
+    tokenize(text) {
+        return (text || '')
+            .trim()
+            .split(/\s+/)
+            .map(word => this.normalize(word))
+            .filter(Boolean);
+    }
+
+    normalize(word) {
+        return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+    }
+}
@@ -0,0 +1,92 @@
+// Search and filters for the transcript shown in the sidepanel. Works on the
+// structured session entries, so the same filters apply to the live session and
+// to reopened past sessions.
+
+class TranscriptSearch {
+    constructor() {
+        this.query = '';
+        // 'source:<label>' or 'speaker:<id>'; empty for everything
+        this.label = '';
+        // Offsets from the start of the recording in ms, null for an open range
+        this.from = null;
+        this.to = null;
+    }
+
+    get isActive() {
+        return !!(this.query || this.label || this.from !== null || this.to !== null);
+    }
+
+    setQuery(query) {
+        this.query = query.trim();
+    }
+
+    setLabel(label) {
+        this.label = label;
+    }
+
+    // Accepts "90", "1:30" or "0:01:30"; returns null for an empty or invalid value
+    setRange(from, to) {
+        this.from = this.parseTime(from);
+        this.to = this.parseTime(to);
+    }
+
+    parseTime(value) {
+        const parts = (value || '').trim().split(':');
+        if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+
+        return Math.round(parts.reduce((total, part) => total * 60 + parseFloat(part), 0) * 1000);
+    }
+
+    matches(entry, startTime) {
+        if (this.label) {
+            const [type, value] = this.splitLabel(this.label);
+            if (type === 'speaker' ? entry.speaker !== value : entry.source !== value) return false;
+        }
+
+        if (this.from !== null || this.to !== null) {
+            const offset = entry.start !== null && entry.start !== undefined ? entry.start : entry.timestamp - startTime;
+            if (this.from !== null && offset < this.from) return false;
+            if (this.to !== null && offset > this.to) return false;
+        }
+
+        return !this.query || this.findMatches(entry.text).length > 0;
+    }
+
+    // Ranges [{ start, end }] of the query in text, case-insensitive
+    findMatches(text) {
+        if (!this.query) return [];
+
+        const haystack = (text || '').toLowerCase();
+        const needle = this.query.toLowerCase();
+        const ranges = [];
+        let index = haystack.indexOf(needle);
+
+        while (index !== -1) {
+            ranges.push({ start: index, end: index + needle.length });
+            index = haystack.indexOf(needle, index + needle.length);
+        }
+
+        return ranges;
+    }
+
+    // Filter choices for the given entries: each source, then each identified speaker
+    getLabelOptions(entries, getSpeakerName) {
+        const sources = new Set();
+        const speakers = new Set();
+
+        entries.forEach(entry => {
+            sources.add(entry.source);
+            if (entry.speaker) speakers.add(entry.speaker);
+        });
+
+        return [
+            ...Array.from(sources).map(source => ({ value: `source:${source}`, label: source })),
+            ...Array.from(speakers).map(speaker => ({ value: `speaker:${speaker}`, label: getSpeakerName(speaker) }))
+        ];
+    }
+
+    splitLabel(label) {
+        const separator = label.indexOf(':');
+        return [label.slice(0, separator), label.slice(separator + 1)];
+    }
+}
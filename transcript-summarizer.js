@@ -0,0 +1,181 @@
+// Summarizes a transcript with a language model (language-models.js). Transcripts
+// too long for one request are summarized map-reduce style: each part is
+// summarized on its own, then the partial summaries are combined. While recording,
+// new lines can also be folded into a short running summary.
+
+const SUMMARY_SCHEMA = {
+    type: 'object',
+    properties: {
+        overview: { type: 'string' },
+        keyPoints: { type: 'array', items: { type: 'string' } },
+        decisions: { type: 'array', items: { type: 'string' } },
+        actionItems: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    task: { type: 'string' },
+                    owner: { type: 'string' }
+                },
+                required: ['task']
+            }
+        },
+        openQuestions: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['overview', 'keyPoints', 'decisions', 'actionItems', 'openQuestions']
+};
+
+const RUNNING_SUMMARY_SCHEMA = {
+    type: 'object',
+    properties: {
+        points: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['points']
+};
+
+class TranscriptSummarizer {
+    constructor(languageModel, config, options = {}) {
+        this.languageModel = languageModel;
+        this.config = config;
+        this.maxChunkLength = options.maxChunkLength || 12000;
+        this.maxReduceInputs = options.maxReduceInputs || 8;
+        this.maxRunningPoints = options.maxRunningPoints || 10;
+    }
+
+    // lines: the transcript as "[hh:mm:ss] Speaker: text" lines
+    async summarize(lines, title = '') {
+        const chunks = this.chunkLines(lines);
+
+        if (chunks.length === 0) {
+            throw new Error('The transcript is empty');
+        }
+        if (chunks.length === 1) {
+            return this.summarizeChunk(chunks[0], title);
+        }
+
+        // One request at a time keeps long sessions within provider rate limits
+        const partials = [];
+        for (let i = 0; i < chunks.length; i++) {
+            partials.push(await this.summarizeChunk(chunks[i], title, { index: i + 1, count: chunks.length }));
+        }
+
+        return this.reduce(partials, title);
+    }
+
+    chunkLines(lines) {
+        const chunks = [];
+        let current = [];
+        let length = 0;
+
+        lines.forEach(line => {
+            // A single line longer than a chunk still gets a chunk of its own
+            if (current.length > 0 && length + line.length > this.maxChunkLength) {
+                chunks.push(current.join('\n'));
+                current = [];
+                length = 0;
+            }
+
+            current.push(line);
+            length += line.length + 1;
+        });
+
+        if (current.length > 0) {
+            chunks.push(current.join('\n'));
+        }
+
+        return chunks;
+    }
+
+    async summarizeChunk(text, title, part = null) {
+        const scope = part
+            ? `This is part ${part.index} of ${part.count} of the transcript; summarize only this part.`
+            : 'Summarize the transcript.';
+
+        const summary = await this.languageModel.generate({
+            system: this.getSystemPrompt(),
+            prompt: `${title ? `Title: ${title}\n` : ''}${scope}\n\nTranscript:\n${text}`,
+            schema: SUMMARY_SCHEMA
+        }, this.config);
+
+        return this.normalize(summary);
+    }
+
+    async reduce(summaries, title) {
+        // Combine in groups so no single request grows with the length of the session
+        while (summaries.length > 1) {
+            const groups = [];
+            for (let i = 0; i < summaries.length; i += this.maxReduceInputs) {
+                groups.push(summaries.slice(i, i + this.maxReduceInputs));
+            }
+
+            const combined = [];
+            for (const group of groups) {
+                combined.push(group.length === 1 ? group[0] : await this.combine(group, title));
+            }
+            summaries = combined;
+        }
+
+        return summaries[0];
+    }
+
+    async combine(summaries, title) {
+        const summary = await this.languageModel.generate({
+            system: this.getSystemPrompt(),
+            prompt: `${title ? `Title: ${title}\n` : ''}These are summaries of consecutive parts of one transcript, in order. ` +
+                'Combine them into a single summary of the whole conversation: merge duplicates, drop open questions ' +
+                'that a later part answered and keep every action item with its owner.\n\n' +
+                JSON.stringify(summaries, null, 2),
+            schema: SUMMARY_SCHEMA
+        }, this.config);
+
+        return this.normalize(summary);
+    }
+
+    // Returns the running summary (a list of points) updated with the new transcript lines
+    async fold(points, lines, title = '') {
+        let current = points;
+
+        for (const chunk of this.chunkLines(lines)) {
+            const result = await this.languageModel.generate({
+                system: this.getSystemPrompt(),
+                prompt: `${title ? `Title: ${title}\n` : ''}A recording is in progress. This is the running summary of what ` +
+                    `has been said so far, followed by the newest part of the transcript. Update the summary so it covers ` +
+                    `everything, in at most ${this.maxRunningPoints} short points in chronological order. Keep earlier ` +
+                    'points unless the new part changes them.\n\n' +
+                    `Summary so far:\n${current.length > 0 ? current.map(point => `- ${point}`).join('\n') : '(nothing yet)'}\n\n` +
+                    `New transcript:\n${chunk}`,
+                schema: RUNNING_SUMMARY_SCHEMA
+            }, this.config);
+
+            current = (Array.isArray(result.points) ? result.points : [])
+                .map(point => String(point).trim())
+                .filter(Boolean)
+                .slice(0, this.maxRunningPoints);
+        }
+
+        return current;
+    }
+
+    getSystemPrompt() {
+        return 'You summarize transcripts of meetings, calls and videos. Only use information from the transcript. ' +
+            'Write in the language of the transcript. The overview is two or three sentences. Key points, decisions ' +
+            'and open questions are short sentences. Action items name the person responsible as owner when the ' +
+            'transcript says who it is, otherwise leave the owner empty. Use empty lists when there is nothing to report.';
+    }
+
+    normalize(summary) {
+        const strings = value => (Array.isArray(value) ? value : [])
+            .map(item => String(item).trim())
+            .filter(Boolean);
+
+        return {
+            overview: String(summary.overview || '').trim(),
+            keyPoints: strings(summary.keyPoints),
+            decisions: strings(summary.decisions),
+            actionItems: (Array.isArray(summary.actionItems) ? summary.actionItems : [])
+                .filter(item => item && item.task)
+                .map(item => ({ task: String(item.task).trim(), owner: String(item.owner || '').trim() })),
+            openQuestions: strings(summary.openQuestions)
+        };
+    }
+}
@@ -0,0 +1,76 @@
+// Translates transcript entries with a language model (language-models.js). Entries
+// are sent in batches as a JSON list, and the translations come back as a list in
+// the same order, so every entry keeps its own translation next to its text.
+
+const TRANSLATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        translations: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['translations']
+};
+
+class TranscriptTranslator {
+    constructor(languageModel, config, options = {}) {
+        this.languageModel = languageModel;
+        this.config = config;
+        this.maxBatchLength = options.maxBatchLength || 6000;
+    }
+
+    // Returns the translations of texts into language (e.g. 'German'), in the same order
+    async translate(texts, language) {
+        if (!language) {
+            throw new Error('No target language');
+        }
+
+        const translations = [];
+
+        // One request at a time keeps long sessions within provider rate limits
+        for (const batch of this.batchTexts(texts)) {
+            translations.push(...await this.translateBatch(batch, language));
+        }
+
+        return translations;
+    }
+
+    batchTexts(texts) {
+        const batches = [];
+        let current = [];
+        let length = 0;
+
+        texts.forEach(text => {
+            if (current.length > 0 && length + text.length > this.maxBatchLength) {
+                batches.push(current);
+                current = [];
+                length = 0;
+            }
+
+            current.push(text);
+            length += text.length;
+        });
+
+        if (current.length > 0) {
+            batches.push(current);
+        }
+
+        return batches;
+    }
+
+    async translateBatch(texts, language) {
+        const result = await this.languageModel.generate({
+            system: 'You translate transcripts of meetings, calls and videos. Translate naturally and keep names, ' +
+                'numbers and technical terms accurate. Do not add explanations.',
+            prompt: `Translate each item of this JSON list of consecutive transcript lines into ${language}. ` +
+                `Return exactly ${texts.length} translations in the same order, one per item; if an item is ` +
+                `already in ${language}, return it unchanged.\n\n${JSON.stringify(texts)}`,
+            schema: TRANSLATION_SCHEMA
+        }, this.config);
+
+        const translations = Array.isArray(result.translations) ? result.translations : [];
+        if (translations.length !== texts.length) {
+            throw new Error(`Expected ${texts.length} translations but got ${translations.length}`);
+        }
+
+        return translations.map(translation => String(translation).trim());
+    }
+}
@@ -0,0 +1,126 @@
+// Energy-based voice activity detection for AudioCapture. Audio is measured in
+// short frames; a frame counts as speech when it is clearly louder than the
+// background noise, which is tracked as the recording goes. The frames of the
+// audio not yet cut into a chunk are kept so a chunk can end at a pause.
+
+class VoiceActivityDetector {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 16000;
+        this.frameSize = Math.round(this.sampleRate * (options.frameMs || 30) / 1000);
+        // A pause this long is a natural place to end a chunk
+        this.minPauseFrames = Math.ceil((options.minPauseMs || 400) / (options.frameMs || 30));
+        // Chunks with less speech than this are not sent
+        this.minSpeechFrames = Math.ceil((options.minSpeechMs || 250) / (options.frameMs || 30));
+        // Speech is this many times louder than the noise floor, and never quieter than minLevel
+        this.speechRatio = options.speechRatio || 3;
+        this.minLevel = options.minLevel || 0.003;
+
+        this.noiseFloor = this.minLevel / this.speechRatio;
+        // [{ level, speech }] for every complete frame of pending audio
+        this.frames = [];
+        this.partialFrame = new Float32Array(0);
+    }
+
+    addSamples(samples) {
+        let data = samples;
+        if (this.partialFrame.length > 0) {
+            data = new Float32Array(this.partialFrame.length + samples.length);
+            data.set(this.partialFrame, 0);
+            data.set(samples, this.partialFrame.length);
+        }
+
+        let offset = 0;
+        for (; offset + this.frameSize <= data.length; offset += this.frameSize) {
+            this.addFrame(data.subarray(offset, offset + this.frameSize));
+        }
+
+        this.partialFrame = data.slice(offset);
+    }
+
+    addFrame(frame) {
+        let sum = 0;
+        for (let i = 0; i < frame.length; i++) {
+            sum += frame[i] * frame[i];
+        }
+        const level = Math.sqrt(sum / frame.length);
+
+        const speech = level > Math.max(this.minLevel, this.noiseFloor * this.speechRatio);
+
+        // The floor follows quieter audio at once and louder background noise gradually;
+        // speech raises it only very slowly, so a noisier room is eventually learned
+        if (level < this.noiseFloor) {
+            this.noiseFloor = level;
+        } else {
+            this.noiseFloor += (level - this.noiseFloor) * (speech ? 0.0001 : 0.05);
+        }
+
+        this.frames.push({ level, speech });
+    }
+
+    // Forgets the first frameCount frames once their audio was cut into a chunk
+    dropFrames(frameCount) {
+        this.frames.splice(0, frameCount);
+    }
+
+    reset() {
+        this.frames = [];
+        this.partialFrame = new Float32Array(0);
+    }
+
+    hasSpeech(fromFrame, toFrame) {
+        let speechFrames = 0;
+
+        for (let i = fromFrame; i < Math.min(toFrame, this.frames.length); i++) {
+            if (this.frames[i].speech && ++speechFrames >= this.minSpeechFrames) return true;
+        }
+        return false;
+    }
+
+    // The middle of the first pause in [fromFrame, toFrame), or null if there is none
+    findPause(fromFrame, toFrame) {
+        let runStart = null;
+
+        for (let i = fromFrame; i < Math.min(toFrame, this.frames.length); i++) {
+            if (this.frames[i].speech) {
+                runStart = null;
+                continue;
+            }
+
+            if (runStart === null) runStart = i;
+            if (i - runStart + 1 >= this.minPauseFrames) {
+                return Math.floor((runStart + i + 1) / 2);
+            }
+        }
+
+        return null;
+    }
+
+    // Where to cut when no pause came in time: the middle of the longest stretch
+    // without speech, or else the quietest frame
+    findQuietest(fromFrame, toFrame) {
+        const end = Math.min(toFrame, this.frames.length);
+        let best = { length: 0, frame: end };
+        let quietest = { level: Infinity, frame: end };
+        let runStart = null;
+
+        for (let i = fromFrame; i < end; i++) {
+            const frame = this.frames[i];
+
+            if (frame.level < quietest.level) {
+                quietest = { level: frame.level, frame: i };
+            }
+
+            if (frame.speech) {
+                runStart = null;
+                continue;
+            }
+
+            if (runStart === null) runStart = i;
+            if (i - runStart + 1 > best.length) {
+                best = { length: i - runStart + 1, frame: Math.floor((runStart + i + 1) / 2) };
+            }
+        }
+
+        return best.length > 0 ? best.frame : quietest.frame;
+    }
+}
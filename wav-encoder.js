@@ -0,0 +1,43 @@
+// Encodes mono Float32 PCM as a self-contained 16-bit WAV file
+
+class WavEncoder {
+    static encode(samples, sampleRate) {
+        const bytesPerSample = 2;
+        const dataSize = samples.length * bytesPerSample;
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+
+        // RIFF header
+        WavEncoder.writeString(view, 0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        WavEncoder.writeString(view, 8, 'WAVE');
+
+        // fmt chunk: PCM, mono
+        WavEncoder.writeString(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, 1, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * bytesPerSample, true);
+        view.setUint16(32, bytesPerSample, true);
+        view.setUint16(34, 16, true);
+
+        // data chunk
+        WavEncoder.writeString(view, 36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        let offset = 44;
+        for (let i = 0; i < samples.length; i++, offset += bytesPerSample) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+        }
+
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+
+    static writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+}